@@ -44,4 +44,14 @@ export const getAuthenticatedClient = (accessToken) => {
   return supabaseClient;
 };
 
+/**
+ * Client for writes behind the requireOwnership guard: the user's own client,
+ * or the admin client when their role lets them act on someone else's resource
+ * Use it only for the guarded resource itself; anything else the handler reads
+ * goes through getAuthenticatedClient, so RLS still applies to the caller
+ * @param {Object} req - Express request that went through requireOwnership
+ */
+export const getResourceClient = (req) =>
+  req.actingAsAdmin ? supabaseAdmin : getAuthenticatedClient(req.token);
+
 export default supabase;
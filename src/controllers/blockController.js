@@ -0,0 +1,202 @@
+import { getAuthenticatedClient, supabaseAdmin } from "../config/db.js";
+import {
+  formatSuccess,
+  formatError,
+} from "../utils/responseFormatter.js";
+
+const USER_FIELDS = "id, name, username, avatar_url";
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Validate the target of a block or mute
+ * Returns { status, message } when the action is not allowed
+ */
+const checkTarget = async (client, targetId, userId) => {
+  if (targetId === userId) {
+    return { status: 400, message: "You cannot do this to yourself" };
+  }
+
+  const { data: target, error } = await client
+    .from("users")
+    .select("id")
+    .eq("id", targetId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!target) return { status: 404, message: "User not found" };
+  return null;
+};
+
+/**
+ * Remove follows and pending follow requests between two users, both ways
+ * Uses the admin client since the other user's rows are not ours to delete
+ */
+const severFollowRelations = async (userId, otherId) => {
+  const pair = `and(follower_id.eq.${userId},following_id.eq.${otherId}),and(follower_id.eq.${otherId},following_id.eq.${userId})`;
+  const requestPair = `and(requester_id.eq.${userId},target_id.eq.${otherId}),and(requester_id.eq.${otherId},target_id.eq.${userId})`;
+
+  const [follows, requests] = await Promise.all([
+    supabaseAdmin.from("user_followers").delete().or(pair),
+    supabaseAdmin.from("follow_requests").delete().or(requestPair),
+  ]);
+
+  if (follows.error) throw follows.error;
+  if (requests.error) throw requests.error;
+};
+
+// ─── Blocks ───────────────────────────────────────────────────────────────────
+
+export const blockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const invalid = await checkTarget(client, id, req.userId);
+    if (invalid) {
+      return res.status(invalid.status).json(formatError(invalid.message, invalid.status));
+    }
+
+    const { data: existing } = await client
+      .from("user_blocks")
+      .select("blocker_id")
+      .eq("blocker_id", req.userId)
+      .eq("blocked_id", id)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json(formatError("User already blocked", 409));
+    }
+
+    const { error } = await client
+      .from("user_blocks")
+      .insert({ blocker_id: req.userId, blocked_id: id });
+
+    if (error) throw error;
+
+    await severFollowRelations(req.userId, id);
+
+    return res.status(201).json(formatSuccess(null, "User blocked successfully", 201));
+  } catch (error) {
+    console.error("Error blocking user:", error);
+    next(error);
+  }
+};
+
+export const unblockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const { error } = await client
+      .from("user_blocks")
+      .delete()
+      .eq("blocker_id", req.userId)
+      .eq("blocked_id", id);
+
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(null, "User unblocked successfully"));
+  } catch (error) {
+    console.error("Error unblocking user:", error);
+    next(error);
+  }
+};
+
+export const getMyBlockedUsers = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+
+    const { data, error } = await client
+      .from("user_blocks")
+      .select(`created_at, user:users!blocked_id(${USER_FIELDS})`)
+      .eq("blocker_id", req.userId)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+
+    const blocked = data.map((row) => ({ ...row.user, blocked_at: row.created_at }));
+
+    return res.status(200).json(formatSuccess(blocked, "Blocked users retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching blocked users:", error);
+    next(error);
+  }
+};
+
+// ─── Mutes ────────────────────────────────────────────────────────────────────
+
+export const muteUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const invalid = await checkTarget(client, id, req.userId);
+    if (invalid) {
+      return res.status(invalid.status).json(formatError(invalid.message, invalid.status));
+    }
+
+    const { data: existing } = await client
+      .from("user_mutes")
+      .select("muter_id")
+      .eq("muter_id", req.userId)
+      .eq("muted_id", id)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json(formatError("User already muted", 409));
+    }
+
+    const { error } = await client
+      .from("user_mutes")
+      .insert({ muter_id: req.userId, muted_id: id });
+
+    if (error) throw error;
+
+    return res.status(201).json(formatSuccess(null, "User muted successfully", 201));
+  } catch (error) {
+    console.error("Error muting user:", error);
+    next(error);
+  }
+};
+
+export const unmuteUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const { error } = await client
+      .from("user_mutes")
+      .delete()
+      .eq("muter_id", req.userId)
+      .eq("muted_id", id);
+
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(null, "User unmuted successfully"));
+  } catch (error) {
+    console.error("Error unmuting user:", error);
+    next(error);
+  }
+};
+
+export const getMyMutedUsers = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+
+    const { data, error } = await client
+      .from("user_mutes")
+      .select(`created_at, user:users!muted_id(${USER_FIELDS})`)
+      .eq("muter_id", req.userId)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+
+    const muted = data.map((row) => ({ ...row.user, muted_at: row.created_at }));
+
+    return res.status(200).json(formatSuccess(muted, "Muted users retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching muted users:", error);
+    next(error);
+  }
+};
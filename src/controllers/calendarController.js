@@ -0,0 +1,132 @@
+import crypto from "node:crypto";
+import { getAuthenticatedClient, supabaseAdmin } from "../config/db.js";
+import {
+  formatSuccess,
+  formatError,
+} from "../utils/responseFormatter.js";
+import { buildCalendar, formatLocalDateTime } from "../utils/icalendar.js";
+import { getRecipeUrl } from "../utils/recipeExport.js";
+import { fetchMealPlanEntries } from "./mealPlanController.js";
+
+// Time each meal is served at, in minutes since midnight
+const SLOT_TIMES = {
+  breakfast: 8 * 60,
+  lunch: 13 * 60 + 30,
+  snack: 17 * 60,
+  dinner: 21 * 60,
+};
+const DEFAULT_COOKING_MINUTES = 30;
+const REMINDER_MINUTES = 15;
+const FEED_PAST_DAYS = 14;
+const FEED_FUTURE_DAYS = 90;
+
+// Only a hash is stored, so a leaked database does not leak feed URLs
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const buildFeedUrl = (req, token) => `${req.protocol}://${req.get("host")}/calendar/${token}.ics`;
+
+// ─── Token management ─────────────────────────────────────────────────────────
+
+export const createCalendarToken = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const token = crypto.randomBytes(32).toString("hex");
+
+    // One token per user: creating a new one revokes the previous feed URL
+    const { error } = await client
+      .from("calendar_feed_tokens")
+      .upsert(
+        { user_id: req.userId, token_hash: hashToken(token), created_at: new Date().toISOString() },
+        { onConflict: "user_id" }
+      );
+
+    if (error) throw error;
+
+    return res
+      .status(201)
+      .json(formatSuccess({ url: buildFeedUrl(req, token) }, "Calendar feed created successfully", 201));
+  } catch (error) {
+    console.error("Error creating calendar token:", error);
+    next(error);
+  }
+};
+
+export const revokeCalendarToken = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+
+    const { error } = await client.from("calendar_feed_tokens").delete().eq("user_id", req.userId);
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(null, "Calendar feed revoked successfully"));
+  } catch (error) {
+    console.error("Error revoking calendar token:", error);
+    next(error);
+  }
+};
+
+// ─── Feed ─────────────────────────────────────────────────────────────────────
+
+/**
+ * iCalendar feed of a user's meal plan
+ * Calendar apps cannot send a Bearer header, so the secret token in the URL
+ * identifies the user and the admin client reads on their behalf
+ */
+export const getCalendarFeed = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    if (!/^[a-f0-9]{64}$/.test(token)) {
+      return res.status(404).json(formatError("Calendar not found", 404));
+    }
+
+    const { data: feed, error: feedError } = await supabaseAdmin
+      .from("calendar_feed_tokens")
+      .select("user_id")
+      .eq("token_hash", hashToken(token))
+      .maybeSingle();
+
+    if (feedError) throw feedError;
+    if (!feed) {
+      return res.status(404).json(formatError("Calendar not found", 404));
+    }
+
+    const today = Date.now();
+    const from = new Date(today - FEED_PAST_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const to = new Date(today + FEED_FUTURE_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const entries = await fetchMealPlanEntries(supabaseAdmin, feed.user_id, from, to, { onBehalf: true });
+
+    const events = entries
+      .filter((entry) => entry.recipe)
+      .map((entry) => {
+        const mealTime = SLOT_TIMES[entry.slot] ?? SLOT_TIMES.lunch;
+        const cookingMinutes = entry.recipe.prep_time || DEFAULT_COOKING_MINUTES;
+        const url = getRecipeUrl(entry.recipe.id);
+
+        return {
+          uid: `${entry.id}@recetario`,
+          start: formatLocalDateTime(entry.date, mealTime - cookingMinutes),
+          end: formatLocalDateTime(entry.date, mealTime),
+          summary: `${entry.recipe.name} (${entry.slot})`,
+          description: [
+            `Servings: ${entry.servings}`,
+            `Time: ${cookingMinutes} min`,
+            entry.note,
+            url,
+          ]
+            .filter(Boolean)
+            .join("\n"),
+          url,
+          alarmMinutes: REMINDER_MINUTES,
+        };
+      });
+
+    res.set("Cache-Control", "private, max-age=300");
+    res.type("text/calendar; charset=utf-8");
+    return res.status(200).send(buildCalendar({ name: "Recetario meal plan", events }));
+  } catch (error) {
+    console.error("Error generating calendar feed:", error);
+    next(error);
+  }
+};
@@ -1,8 +1,18 @@
-import supabase, { getAuthenticatedClient } from "../config/db.js";
+import supabase, { getAuthenticatedClient, getResourceClient } from "../config/db.js";
 import {
   formatSuccess,
   formatError,
 } from "../utils/responseFormatter.js";
+import {
+  resolveUnitSystem,
+  convertRecipeUnits,
+} from "../utils/unitConversion.js";
+import {
+  canViewRecipe,
+  canViewCollection,
+  RECIPE_ACCESS_FIELDS,
+} from "../utils/recipeAccess.js";
+import { notify } from "../utils/notifications.js";
 
 export const createCollection = async (req, res, next) => {
   try {
@@ -47,18 +57,19 @@ export const getCollection = async (req, res, next) => {
     const { data: collection, error } = await client
       .from("collections")
       .select(
-        `id, name, description, cover_image_url, is_public, is_default, created_at, user_id,
+        `id, name, description, cover_image_url, is_public, is_default, created_at, user_id, hidden_at, author_visible,
          collection_recipes(
            added_at,
            recipe:recipes(
-             id, name, description, prep_time, servings, difficulty,
-             calories, main_image_url, is_public, created_at,
+             ${RECIPE_ACCESS_FIELDS}, name, description, prep_time, servings, difficulty,
+             calories, main_image_url, created_at,
              user:users!user_id(id, name, username, avatar_url),
              recipe_tags(tag_id, tags(id, name, color))
            )
          )`
       )
       .eq("id", id)
+      .is("deleted_at", null)
       .single();
 
     if (error?.code === "PGRST116" || !collection) {
@@ -66,15 +77,20 @@ export const getCollection = async (req, res, next) => {
     }
     if (error) throw error;
 
-    if (!collection.is_public && collection.user_id !== req.userId) {
+    if (!canViewCollection(collection, req.userId)) {
       return res.status(403).json(formatError("Access denied", 403));
     }
 
-    const isOwner = collection.user_id === req.userId;
+    const { system, error: unitsError } = resolveUnitSystem(req);
+    if (unitsError) {
+      return res.status(400).json(formatError(unitsError, 400));
+    }
+
     const recipes = (collection.collection_recipes || [])
       .map((r) => r.recipe)
-      .filter((r) => r && (isOwner || r.is_public));
-    const { user_id, collection_recipes, ...rest } = collection;
+      .filter((r) => canViewRecipe(r, req.userId))
+      .map((r) => convertRecipeUnits(r, system));
+    const { user_id, author_visible, collection_recipes, ...rest } = collection;
 
     return res.status(200).json(
       formatSuccess({ ...rest, recipe_count: recipes.length, recipes }, "Collection retrieved successfully")
@@ -88,22 +104,9 @@ export const getCollection = async (req, res, next) => {
 export const updateCollection = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const client = getAuthenticatedClient(req.token);
+    const client = getResourceClient(req);
     const { name, description, cover_image_url, is_public } = req.body;
 
-    const { data: existing, error: fetchError } = await client
-      .from("collections")
-      .select("user_id")
-      .eq("id", id)
-      .single();
-
-    if (fetchError?.code === "PGRST116" || !existing) {
-      return res.status(404).json(formatError("Collection not found", 404));
-    }
-    if (existing.user_id !== req.userId) {
-      return res.status(403).json(formatError("Access denied", 403));
-    }
-
     const updatedData = {};
     if (name !== undefined) updatedData.name = name.trim();
     if (description !== undefined) updatedData.description = description;
@@ -137,25 +140,16 @@ export const updateCollection = async (req, res, next) => {
 export const deleteCollection = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const client = getAuthenticatedClient(req.token);
+    const client = getResourceClient(req);
 
-    const { data: existing, error: fetchError } = await client
+    // Soft delete: memberships stay in place so the collection can be restored
+    const { error } = await client
       .from("collections")
-      .select("user_id")
-      .eq("id", id)
-      .single();
-
-    if (fetchError?.code === "PGRST116" || !existing) {
-      return res.status(404).json(formatError("Collection not found", 404));
-    }
-    if (existing.user_id !== req.userId) {
-      return res.status(403).json(formatError("Access denied", 403));
-    }
-
-    const { error } = await client.from("collections").delete().eq("id", id);
+      .update({ deleted_at: new Date().toISOString() })
+      .eq("id", id);
     if (error) throw error;
 
-    return res.status(200).json(formatSuccess(null, "Collection deleted successfully"));
+    return res.status(200).json(formatSuccess(null, "Collection moved to trash"));
   } catch (error) {
     console.error("Error deleting collection:", error);
     next(error);
@@ -165,53 +159,45 @@ export const deleteCollection = async (req, res, next) => {
 export const addRecipeToCollection = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const client = getAuthenticatedClient(req.token);
     const { recipe_id } = req.body;
 
     if (!recipe_id) {
       return res.status(400).json(formatError("recipe_id is required", 400));
     }
 
-    const { data: collection, error: fetchError } = await client
-      .from("collections")
-      .select("user_id")
-      .eq("id", id)
-      .single();
-
-    if (fetchError?.code === "PGRST116" || !collection) {
-      return res.status(404).json(formatError("Collection not found", 404));
-    }
-    if (collection.user_id !== req.userId) {
-      return res.status(403).json(formatError("Access denied", 403));
-    }
-
-    const { data: recipe } = await client
+    // Only the membership insert may use the admin client; the recipe is read
+    // as the caller, who must be able to see it
+    const { data: recipe, error: recipeError } = await getAuthenticatedClient(req.token)
       .from("recipes")
-      .select("id")
+      .select(RECIPE_ACCESS_FIELDS)
       .eq("id", recipe_id)
       .maybeSingle();
 
-    if (!recipe) {
+    if (recipeError) throw recipeError;
+    if (!canViewRecipe(recipe, req.userId)) {
       return res.status(404).json(formatError("Recipe not found", 404));
     }
 
-    const { data: existing } = await client
+    const { error } = await getResourceClient(req)
       .from("collection_recipes")
-      .select("collection_id")
-      .eq("collection_id", id)
-      .eq("recipe_id", recipe_id)
-      .maybeSingle();
+      .insert({ collection_id: id, recipe_id });
 
-    if (existing) {
+    if (error?.code === "23505") {
       return res.status(409).json(formatError("Recipe already in collection", 409));
     }
-
-    const { error } = await client
-      .from("collection_recipes")
-      .insert({ collection_id: id, recipe_id });
-
     if (error) throw error;
 
+    // Only public collections are worth telling the author about
+    if (req.resource.is_public) {
+      await notify({
+        userId: recipe.user_id,
+        actorId: req.userId,
+        type: "collection_add",
+        recipeId: recipe_id,
+        collectionId: id,
+      });
+    }
+
     return res.status(201).json(formatSuccess(null, "Recipe added to collection", 201));
   } catch (error) {
     console.error("Error adding recipe to collection:", error);
@@ -222,20 +208,7 @@ export const addRecipeToCollection = async (req, res, next) => {
 export const removeRecipeFromCollection = async (req, res, next) => {
   try {
     const { id, recipeId } = req.params;
-    const client = getAuthenticatedClient(req.token);
-
-    const { data: collection, error: fetchError } = await client
-      .from("collections")
-      .select("user_id")
-      .eq("id", id)
-      .single();
-
-    if (fetchError?.code === "PGRST116" || !collection) {
-      return res.status(404).json(formatError("Collection not found", 404));
-    }
-    if (collection.user_id !== req.userId) {
-      return res.status(403).json(formatError("Access denied", 403));
-    }
+    const client = getResourceClient(req);
 
     const { error } = await client
       .from("collection_recipes")
@@ -251,3 +224,28 @@ export const removeRecipeFromCollection = async (req, res, next) => {
     next(error);
   }
 };
+
+export const restoreCollection = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getResourceClient(req);
+
+    const { data, error } = await client
+      .from("collections")
+      .update({ deleted_at: null })
+      .eq("id", id)
+      .select("id, name, description, cover_image_url, is_public, is_default, created_at, collection_recipes(count)")
+      .single();
+
+    if (error) throw error;
+
+    const { collection_recipes, ...rest } = data;
+    return res.status(200).json(formatSuccess(
+      { ...rest, recipe_count: collection_recipes?.[0]?.count ?? 0 },
+      "Collection restored successfully"
+    ));
+  } catch (error) {
+    console.error("Error restoring collection:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,265 @@
+import supabase, { getAuthenticatedClient } from "../config/db.js";
+import {
+  formatSuccess,
+  formatError,
+  formatCursorPagination,
+} from "../utils/responseFormatter.js";
+import { canViewRecipe, RECIPE_ACCESS_FIELDS } from "../utils/recipeAccess.js";
+import { notify } from "../utils/notifications.js";
+import { decodeCursor, applyCursor, paginateByCursor } from "../utils/cursor.js";
+import { fetchHiddenUserIds, excludeUsers } from "../utils/userAccess.js";
+
+const COMMENT_FIELDS = `id, recipe_id, step_id, parent_id, body, created_at, updated_at,
+  user:users!user_id(id, name, username, avatar_url)`;
+const MAX_BODY_LENGTH = 2000;
+const MAX_LIMIT = 50;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const fetchRecipe = async (client, id) => {
+  const { data, error } = await client
+    .from("recipes")
+    .select(RECIPE_ACCESS_FIELDS)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const validateBody = (body) => {
+  if (typeof body !== "string" || !body.trim()) {
+    return "Comment text is required";
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    return `Comment must be at most ${MAX_BODY_LENGTH} characters`;
+  }
+  return null;
+};
+
+// ─── Comments ─────────────────────────────────────────────────────────────────
+
+/**
+ * List top-level comments of a recipe, newest first, with their replies
+ * Comments by users the viewer blocked or muted (or who blocked them) are left out
+ * @param {string} req.query.cursor - Cursor from the previous page (optional)
+ * @param {string} req.query.step_id - Only comments anchored to this step (optional)
+ */
+export const getRecipeComments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { cursor, step_id } = req.query;
+    const client = req.token ? getAuthenticatedClient(req.token) : supabase;
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), MAX_LIMIT);
+
+    const recipe = await fetchRecipe(client, id);
+    if (!canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json(formatError("Recipe not found", 404));
+    }
+
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !position) {
+      return res.status(400).json(formatError("Invalid cursor", 400));
+    }
+
+    const hiddenUserIds = await fetchHiddenUserIds(req.userId);
+
+    let query = client
+      .from("recipe_comments")
+      .select(COMMENT_FIELDS)
+      .eq("recipe_id", id)
+      .is("parent_id", null)
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .limit(limit + 1);
+
+    if (step_id) query = query.eq("step_id", step_id);
+    if (position) query = applyCursor(query, position);
+    query = excludeUsers(query, hiddenUserIds);
+
+    const { data: rows, error } = await query;
+    if (error) throw error;
+
+    const { data: comments, nextCursor } = paginateByCursor(rows, limit);
+
+    const repliesByParent = {};
+    if (comments.length > 0) {
+      const { data: replies, error: repliesError } = await excludeUsers(
+        client
+          .from("recipe_comments")
+          .select(COMMENT_FIELDS)
+          .in("parent_id", comments.map((c) => c.id))
+          .order("created_at", { ascending: true }),
+        hiddenUserIds
+      );
+
+      if (repliesError) throw repliesError;
+
+      for (const reply of replies) {
+        (repliesByParent[reply.parent_id] ||= []).push(reply);
+      }
+    }
+
+    const threads = comments.map((comment) => ({
+      ...comment,
+      reply_count: repliesByParent[comment.id]?.length ?? 0,
+      replies: repliesByParent[comment.id] || [],
+    }));
+
+    return res
+      .status(200)
+      .json(formatCursorPagination(threads, nextCursor, "Comments retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching comments:", error);
+    next(error);
+  }
+};
+
+export const createComment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+    const { body, step_id, parent_id } = req.body;
+
+    const recipe = await fetchRecipe(client, id);
+    if (!canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json(formatError("Recipe not found", 404));
+    }
+
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return res.status(400).json(formatError(bodyError, 400));
+    }
+
+    const newComment = {
+      recipe_id: id,
+      user_id: req.userId,
+      body: body.trim(),
+      step_id: step_id || null,
+      parent_id: null,
+    };
+
+    if (parent_id) {
+      const { data: parent } = await client
+        .from("recipe_comments")
+        .select("id, parent_id, step_id")
+        .eq("id", parent_id)
+        .eq("recipe_id", id)
+        .maybeSingle();
+
+      if (!parent) {
+        return res.status(404).json(formatError("Parent comment not found", 404));
+      }
+
+      // Threads are one level deep: replies to a reply join the root thread
+      newComment.parent_id = parent.parent_id || parent.id;
+      newComment.step_id = parent.step_id;
+    } else if (step_id) {
+      const { data: step } = await client
+        .from("steps")
+        .select("id")
+        .eq("id", step_id)
+        .eq("recipe_id", id)
+        .maybeSingle();
+
+      if (!step) {
+        return res.status(404).json(formatError("Step not found", 404));
+      }
+    }
+
+    const { data, error } = await client
+      .from("recipe_comments")
+      .insert(newComment)
+      .select(COMMENT_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    await notify({
+      userId: recipe.user_id,
+      actorId: req.userId,
+      type: "comment",
+      recipeId: id,
+      commentId: data.id,
+    });
+
+    return res.status(201).json(formatSuccess(data, "Comment created successfully", 201));
+  } catch (error) {
+    console.error("Error creating comment:", error);
+    next(error);
+  }
+};
+
+export const updateComment = async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+    const client = getAuthenticatedClient(req.token);
+    const { body } = req.body;
+
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return res.status(400).json(formatError(bodyError, 400));
+    }
+
+    const { data: existing } = await client
+      .from("recipe_comments")
+      .select("user_id")
+      .eq("id", commentId)
+      .eq("recipe_id", id)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json(formatError("Comment not found", 404));
+    }
+    if (existing.user_id !== req.userId) {
+      return res.status(403).json(formatError("Access denied", 403));
+    }
+
+    const { data, error } = await client
+      .from("recipe_comments")
+      .update({ body: body.trim(), updated_at: new Date().toISOString() })
+      .eq("id", commentId)
+      .select(COMMENT_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(data, "Comment updated successfully"));
+  } catch (error) {
+    console.error("Error updating comment:", error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a comment (and its replies)
+ * Allowed for the comment author and for the owner of the recipe
+ */
+export const deleteComment = async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const { data: existing } = await client
+      .from("recipe_comments")
+      .select("user_id, recipe:recipes(user_id)")
+      .eq("id", commentId)
+      .eq("recipe_id", id)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json(formatError("Comment not found", 404));
+    }
+    if (existing.user_id !== req.userId && existing.recipe?.user_id !== req.userId) {
+      return res.status(403).json(formatError("Access denied", 403));
+    }
+
+    const { error } = await client.from("recipe_comments").delete().eq("id", commentId);
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(null, "Comment deleted successfully"));
+  } catch (error) {
+    console.error("Error deleting comment:", error);
+    next(error);
+  }
+};
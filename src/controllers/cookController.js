@@ -0,0 +1,198 @@
+import { getAuthenticatedClient } from "../config/db.js";
+import {
+  formatSuccess,
+  formatError,
+  formatPagination,
+} from "../utils/responseFormatter.js";
+import {
+  canViewRecipe,
+  applyRecipeVisibility,
+  RECIPE_ACCESS_FIELDS,
+} from "../utils/recipeAccess.js";
+
+const COOK_FIELDS = `id, cooked_on, notes, photo_url, servings, rating, created_at,
+  recipe:recipes(${RECIPE_ACCESS_FIELDS}, name, main_image_url)`;
+const MAX_NOTES_LENGTH = 2000;
+const MOST_COOKED_LIMIT = 5;
+const MAX_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const isValidDate = (value) =>
+  typeof value === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+/**
+ * Validate the optional fields of a cooking log entry
+ */
+const parseCookFields = (body) => {
+  const { cooked_on, notes, photo_url, servings, rating } = body;
+  const today = new Date().toISOString().slice(0, 10);
+  // cooked_on is the client's local date, which is up to a day ahead of UTC
+  // (UTC+14), so only dates past tomorrow in UTC are in the future everywhere
+  const latest = new Date(Date.now() + DAY_MS).toISOString().slice(0, 10);
+  const fields = { cooked_on: cooked_on ?? today };
+
+  if (!isValidDate(fields.cooked_on)) {
+    return { error: "cooked_on must be a date in YYYY-MM-DD format" };
+  }
+  if (fields.cooked_on > latest) {
+    return { error: "cooked_on cannot be in the future" };
+  }
+
+  if (notes !== undefined && notes !== null) {
+    if (typeof notes !== "string" || notes.length > MAX_NOTES_LENGTH) {
+      return { error: `Notes must be text of at most ${MAX_NOTES_LENGTH} characters` };
+    }
+  }
+  fields.notes = notes?.trim() || null;
+
+  if (photo_url && !/^https?:\/\/\S+$/i.test(photo_url)) {
+    return { error: "photo_url must be a valid http(s) URL" };
+  }
+  fields.photo_url = photo_url || null;
+
+  if (servings !== undefined && servings !== null) {
+    const parsed = Number(servings);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      return { error: "servings must be a positive integer" };
+    }
+    fields.servings = parsed;
+  }
+
+  if (rating !== undefined && rating !== null) {
+    const parsed = Number(rating);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > 5) {
+      return { error: "Rating must be an integer between 1 and 5" };
+    }
+    fields.rating = parsed;
+  }
+
+  return { fields };
+};
+
+const presentCook = ({ recipe, ...cook }, userId) => ({
+  ...cook,
+  recipe: canViewRecipe(recipe, userId)
+    ? { id: recipe.id, name: recipe.name, main_image_url: recipe.main_image_url }
+    : null,
+});
+
+// ─── Cooking log ──────────────────────────────────────────────────────────────
+
+export const logCook = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const { data: recipe } = await client
+      .from("recipes")
+      .select(RECIPE_ACCESS_FIELDS)
+      .eq("id", id)
+      .maybeSingle();
+
+    if (!canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json(formatError("Recipe not found", 404));
+    }
+
+    const { fields, error: fieldsError } = parseCookFields(req.body);
+    if (fieldsError) {
+      return res.status(400).json(formatError(fieldsError, 400));
+    }
+
+    const { data, error } = await client
+      .from("recipe_cooks")
+      .insert({ user_id: req.userId, recipe_id: id, ...fields })
+      .select(COOK_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    return res.status(201).json(formatSuccess(presentCook(data, req.userId), "Cook logged successfully", 201));
+  } catch (error) {
+    console.error("Error logging cook:", error);
+    next(error);
+  }
+};
+
+export const getMyCooks = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), MAX_LIMIT);
+    const start = (page - 1) * limit;
+    const end = page * limit - 1;
+
+    // Totals, streaks and per-recipe counts are aggregated in the database
+    const [history, totals, mostCooked] = await Promise.all([
+      client
+        .from("recipe_cooks")
+        .select(COOK_FIELDS, { count: "exact" })
+        .eq("user_id", req.userId)
+        .order("cooked_on", { ascending: false })
+        .order("created_at", { ascending: false })
+        .range(start, end),
+      client.rpc("cooking_stats").single(),
+      applyRecipeVisibility(
+        client
+          .from("recipe_cook_counts")
+          .select("times_cooked, recipe:recipes!inner(id, name, main_image_url)")
+          .eq("user_id", req.userId),
+        req.userId,
+        "recipe"
+      )
+        .order("times_cooked", { ascending: false })
+        .order("last_cooked_at", { ascending: false })
+        .limit(MOST_COOKED_LIMIT),
+    ]);
+
+    if (history.error) throw history.error;
+    if (totals.error) throw totals.error;
+    if (mostCooked.error) throw mostCooked.error;
+
+    const stats = {
+      ...totals.data,
+      most_cooked: mostCooked.data,
+    };
+
+    const response = formatPagination(
+      history.data.map((cook) => presentCook(cook, req.userId)),
+      history.count,
+      page,
+      limit,
+      "Cooking history retrieved successfully"
+    );
+    response.stats = stats;
+
+    return res.status(200).json(response);
+  } catch (error) {
+    console.error("Error fetching cooking history:", error);
+    next(error);
+  }
+};
+
+export const deleteCook = async (req, res, next) => {
+  try {
+    const { cookId } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const { data, error } = await client
+      .from("recipe_cooks")
+      .delete()
+      .eq("id", cookId)
+      .eq("user_id", req.userId)
+      .select("id");
+
+    if (error) throw error;
+    if (!data?.length) {
+      return res.status(404).json(formatError("Cook not found", 404));
+    }
+
+    return res.status(200).json(formatSuccess(null, "Cook deleted successfully"));
+  } catch (error) {
+    console.error("Error deleting cook:", error);
+    next(error);
+  }
+};
@@ -4,6 +4,14 @@ import {
   formatError,
   formatPagination,
 } from "../utils/responseFormatter.js";
+import { notify } from "../utils/notifications.js";
+import {
+  canViewRecipe,
+  applyRecipeVisibility,
+  RECIPE_ACCESS_FIELDS,
+} from "../utils/recipeAccess.js";
+
+const MAX_LIMIT = 50;
 
 export const favoriteRecipe = async (req, res, next) => {
   try {
@@ -12,11 +20,12 @@ export const favoriteRecipe = async (req, res, next) => {
 
     const { data: recipe, error: recipeError } = await client
       .from("recipes")
-      .select("id")
+      .select(RECIPE_ACCESS_FIELDS)
       .eq("id", id)
-      .single();
+      .maybeSingle();
 
-    if (recipeError?.code === "PGRST116" || !recipe) {
+    if (recipeError) throw recipeError;
+    if (!canViewRecipe(recipe, req.userId)) {
       return res.status(404).json(formatError("Recipe not found", 404));
     }
 
@@ -37,6 +46,8 @@ export const favoriteRecipe = async (req, res, next) => {
 
     if (error) throw error;
 
+    await notify({ userId: recipe.user_id, actorId: req.userId, type: "favorite", recipeId: id });
+
     return res.status(201).json(formatSuccess(null, "Recipe added to favorites", 201));
   } catch (error) {
     console.error("Error favoriting recipe:", error);
@@ -83,19 +94,23 @@ export const isRecipeFavorited = async (req, res, next) => {
   }
 };
 
+/**
+ * List the caller's favorite recipes, newest first
+ * Recipes the caller can no longer see are left out before paginating
+ */
 export const getMyFavorites = async (req, res, next) => {
   try {
     const client = getAuthenticatedClient(req.token);
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), MAX_LIMIT);
     const start = (page - 1) * limit;
     const end = page * limit - 1;
 
-    const { data, error, count } = await client
+    const query = client
       .from("recipe_favorites")
       .select(
         `added_at:created_at,
-         recipe:recipes(
+         recipe:recipes!inner(
            id, name, description, prep_time, servings, difficulty,
            calories, main_image_url, is_public, created_at,
            user:users!user_id(id, name, username, avatar_url),
@@ -103,16 +118,22 @@ export const getMyFavorites = async (req, res, next) => {
          )`,
         { count: "exact" }
       )
-      .eq("user_id", req.userId)
-      .range(start, end)
-      .order("created_at", { ascending: false });
+      .eq("user_id", req.userId);
 
-    if (error) throw error;
+    const { data, error, count } = await applyRecipeVisibility(query, req.userId, "recipe")
+      .order("created_at", { ascending: false })
+      .range(start, end);
 
-    const recipes = data.map((row) => row.recipe);
+    if (error) throw error;
 
     return res.status(200).json(
-      formatPagination(recipes, count, page, limit, "Favorites retrieved successfully")
+      formatPagination(
+        data.map((row) => row.recipe),
+        count,
+        page,
+        limit,
+        "Favorites retrieved successfully"
+      )
     );
   } catch (error) {
     console.error("Error fetching favorites:", error);
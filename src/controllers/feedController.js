@@ -0,0 +1,164 @@
+import { getAuthenticatedClient } from "../config/db.js";
+import {
+  formatError,
+  formatCursorPagination,
+} from "../utils/responseFormatter.js";
+import { decodeCursor, applyCursor, paginateByCursor } from "../utils/cursor.js";
+import { applyRecipeVisibility } from "../utils/recipeAccess.js";
+import { fetchRatingStats } from "../utils/ratings.js";
+import { fetchHiddenUserIds } from "../utils/userAccess.js";
+
+const MAX_LIMIT = 50;
+
+const RECIPE_FIELDS = `id, name, description, prep_time, servings, difficulty, calories,
+  main_image_url, is_public, status, publish_at, created_at,
+  user:users!user_id(id, name, username, avatar_url),
+  recipe_tags(tag_id, tags(id, name, color))`;
+
+const COLLECTION_FIELDS = `id, name, description, cover_image_url, created_at,
+  user:users!user_id(id, name, username, avatar_url),
+  collection_recipes(count)`;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Microseconds since the epoch of a database timestamp
+ * Date.parse alone truncates to milliseconds, which would order rows created
+ * within the same millisecond differently from the database
+ */
+const toMicroseconds = (timestamp) => {
+  const fraction = timestamp.match(/\.(\d+)/)?.[1] ?? "";
+  const seconds = Date.parse(timestamp.replace(/\.\d+/, ""));
+  return seconds * 1000 + Number(fraction.padEnd(6, "0").slice(0, 6));
+};
+
+/**
+ * Newest first, ties broken by id, matching the cursor order
+ */
+const compareNewestFirst = (a, b) =>
+  toMicroseconds(b.created_at) - toMicroseconds(a.created_at) || b.id.localeCompare(a.id);
+
+const fetchFollowingIds = async (client, userId) => {
+  const { data, error } = await client
+    .from("user_followers")
+    .select("following_id")
+    .eq("follower_id", userId);
+
+  if (error) throw error;
+  return data.map((row) => row.following_id);
+};
+
+const fetchFeedRecipes = async (client, authorIds, position, limit) => {
+  let query = client
+    .from("recipes")
+    .select(RECIPE_FIELDS)
+    .in("user_id", authorIds)
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false })
+    .limit(limit + 1);
+
+  // The feed only shows what everyone may see, even for authors the user can see more of
+  query = applyRecipeVisibility(query, undefined);
+  if (position) query = applyCursor(query, position);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data.map((recipe) => ({ type: "recipe", ...recipe }));
+};
+
+const fetchFeedCollections = async (client, authorIds, position, limit) => {
+  let query = client
+    .from("collections")
+    .select(COLLECTION_FIELDS)
+    .in("user_id", authorIds)
+    .eq("is_public", true)
+    .is("deleted_at", null)
+    .is("hidden_at", null)
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false })
+    .limit(limit + 1);
+
+  if (position) query = applyCursor(query, position);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data.map(({ collection_recipes, ...collection }) => ({
+    type: "collection",
+    ...collection,
+    recipe_count: collection_recipes?.[0]?.count ?? 0,
+  }));
+};
+
+// ─── Feed ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Recent public recipes (and optionally public collections) from followed users
+ * @param {string} req.query.cursor - Cursor from the previous page (optional)
+ * @param {string} req.query.include - "collections" to mix in public collections
+ */
+export const getMyFeed = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), MAX_LIMIT);
+    const includeCollections = String(req.query.include || "")
+      .split(",")
+      .includes("collections");
+
+    const position = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !position) {
+      return res.status(400).json(formatError("Invalid cursor", 400));
+    }
+
+    // Muted users stay followed but drop out of the feed
+    const hiddenUserIds = new Set(await fetchHiddenUserIds(req.userId));
+    const followingIds = (await fetchFollowingIds(client, req.userId)).filter(
+      (userId) => !hiddenUserIds.has(userId)
+    );
+    if (followingIds.length === 0) {
+      return res
+        .status(200)
+        .json(formatCursorPagination([], null, "Feed retrieved successfully"));
+    }
+
+    const [recipes, collections] = await Promise.all([
+      fetchFeedRecipes(client, followingIds, position, limit),
+      includeCollections ? fetchFeedCollections(client, followingIds, position, limit) : [],
+    ]);
+
+    const { data: items, nextCursor } = paginateByCursor(
+      [...recipes, ...collections].sort(compareNewestFirst),
+      limit
+    );
+
+    const recipeIds = items.filter((item) => item.type === "recipe").map((item) => item.id);
+
+    let bookmarkedIds = new Set();
+    if (recipeIds.length > 0) {
+      const { data: bookmarks } = await client
+        .from("collection_recipes")
+        .select("recipe_id, collections!inner(user_id)")
+        .eq("collections.user_id", req.userId)
+        .is("collections.deleted_at", null)
+        .in("recipe_id", recipeIds);
+
+      if (bookmarks) {
+        bookmarkedIds = new Set(bookmarks.map((b) => b.recipe_id));
+      }
+    }
+
+    const ratingStats = await fetchRatingStats(client, recipeIds);
+
+    const feed = items.map((item) =>
+      item.type === "recipe"
+        ? { ...item, ...ratingStats.get(item.id), is_bookmarked: bookmarkedIds.has(item.id) }
+        : item
+    );
+
+    return res
+      .status(200)
+      .json(formatCursorPagination(feed, nextCursor, "Feed retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching feed:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,366 @@
+import { getAuthenticatedClient } from "../config/db.js";
+import {
+  formatSuccess,
+  formatError,
+} from "../utils/responseFormatter.js";
+import { canViewRecipe, RECIPE_ACCESS_FIELDS } from "../utils/recipeAccess.js";
+import { fetchVisibleOwnerIds } from "../utils/userAccess.js";
+import { buildShoppingList } from "./shoppingListController.js";
+
+export const MEAL_SLOTS = ["breakfast", "lunch", "dinner", "snack"];
+const MAX_RANGE_DAYS = 62;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ENTRY_FIELDS = `id, date, slot, servings, note, created_at,
+  recipe:recipes(
+    ${RECIPE_ACCESS_FIELDS}, name, prep_time, servings, difficulty, calories, main_image_url
+  )`;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const isValidDate = (value) =>
+  typeof value === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Validate a from/to date range, returning an error message when invalid
+ */
+export const validateDateRange = (from, to) => {
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return "from and to must be dates in YYYY-MM-DD format";
+  }
+  if (to < from) {
+    return "to must be on or after from";
+  }
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    return `Date range cannot exceed ${MAX_RANGE_DAYS} days`;
+  }
+  return null;
+};
+
+/**
+ * Hide recipes the user is no longer allowed to see (made private since planning)
+ */
+const presentEntry = (entry, userId) => {
+  const { recipe, ...rest } = entry;
+
+  if (!canViewRecipe(recipe, userId)) {
+    return { ...rest, recipe: null, recipe_unavailable: true };
+  }
+
+  const { user_id, ...recipeData } = recipe;
+  return { ...rest, recipe: recipeData, recipe_unavailable: false };
+};
+
+/**
+ * Fetch the plan entries of a user in a date range
+ * With the admin client (the calendar feed), set onBehalf so author
+ * visibility is evaluated for userId rather than for no user at all
+ */
+export const fetchMealPlanEntries = async (client, userId, from, to, { onBehalf = false } = {}) => {
+  const { data, error } = await client
+    .from("meal_plan_entries")
+    .select(ENTRY_FIELDS)
+    .eq("user_id", userId)
+    .gte("date", from)
+    .lte("date", to)
+    .order("date", { ascending: true })
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+
+  if (onBehalf) {
+    const visibleOwners = await fetchVisibleOwnerIds(
+      data.filter((entry) => entry.recipe).map((entry) => entry.recipe.user_id),
+      userId
+    );
+    for (const entry of data) {
+      if (entry.recipe) entry.recipe.author_visible = visibleOwners.has(entry.recipe.user_id);
+    }
+  }
+
+  return data.map((entry) => presentEntry(entry, userId));
+};
+
+const fetchOwnedEntry = async (client, id, userId) => {
+  const { data: entry, error } = await client
+    .from("meal_plan_entries")
+    .select("id, user_id, recipe_id, date, slot, servings, note")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!entry) return { status: 404, message: "Meal plan entry not found" };
+  if (entry.user_id !== userId) return { status: 403, message: "Access denied" };
+
+  return { entry };
+};
+
+const fetchEntry = async (client, id, userId) => {
+  const { data, error } = await client
+    .from("meal_plan_entries")
+    .select(ENTRY_FIELDS)
+    .eq("id", id)
+    .single();
+
+  if (error) throw error;
+  return presentEntry(data, userId);
+};
+
+/**
+ * Validate the date, slot and servings of an entry payload
+ * Only the fields present in the payload are checked unless required is set
+ */
+const parseEntryFields = (body, required = false) => {
+  const { date, slot, servings, note } = body;
+  const fields = {};
+
+  if (date !== undefined || required) {
+    if (!isValidDate(date)) return { error: "date must be in YYYY-MM-DD format" };
+    fields.date = date;
+  }
+
+  if (slot !== undefined || required) {
+    if (!MEAL_SLOTS.includes(slot)) {
+      return { error: `slot must be one of: ${MEAL_SLOTS.join(", ")}` };
+    }
+    fields.slot = slot;
+  }
+
+  if (servings !== undefined && servings !== null) {
+    const parsed = Number.parseInt(servings);
+    if (Number.isNaN(parsed) || parsed < 1) {
+      return { error: "servings must be a positive integer" };
+    }
+    fields.servings = parsed;
+  }
+
+  if (note !== undefined) fields.note = note?.trim() || null;
+
+  return { fields };
+};
+
+// ─── Calendar ─────────────────────────────────────────────────────────────────
+
+export const getMealPlan = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const today = new Date().toISOString().slice(0, 10);
+    const from = req.query.from || today;
+    const to = req.query.to || addDays(from, 6);
+
+    const rangeError = validateDateRange(from, to);
+    if (rangeError) {
+      return res.status(400).json(formatError(rangeError, 400));
+    }
+
+    const entries = await fetchMealPlanEntries(client, req.userId, from, to);
+
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const meals = Object.fromEntries(MEAL_SLOTS.map((slot) => [slot, []]));
+      for (const entry of entries.filter((e) => e.date === date)) {
+        meals[entry.slot]?.push(entry);
+      }
+      days.push({ date, meals });
+    }
+
+    return res.status(200).json(formatSuccess({ from, to, days }, "Meal plan retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching meal plan:", error);
+    next(error);
+  }
+};
+
+// ─── Entries ──────────────────────────────────────────────────────────────────
+
+export const addMealPlanEntry = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const { recipe_id } = req.body;
+
+    if (!recipe_id) {
+      return res.status(400).json(formatError("recipe_id is required", 400));
+    }
+
+    const { fields, error: fieldsError } = parseEntryFields(req.body, true);
+    if (fieldsError) {
+      return res.status(400).json(formatError(fieldsError, 400));
+    }
+
+    const { data: recipe } = await client
+      .from("recipes")
+      .select(`${RECIPE_ACCESS_FIELDS}, servings`)
+      .eq("id", recipe_id)
+      .maybeSingle();
+
+    if (!canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json(formatError("Recipe not found", 404));
+    }
+
+    const { data, error } = await client
+      .from("meal_plan_entries")
+      .insert({
+        user_id: req.userId,
+        recipe_id,
+        servings: recipe.servings,
+        ...fields,
+      })
+      .select("id")
+      .single();
+
+    if (error) throw error;
+
+    const entry = await fetchEntry(client, data.id, req.userId);
+
+    return res.status(201).json(formatSuccess(entry, "Meal planned successfully", 201));
+  } catch (error) {
+    console.error("Error adding meal plan entry:", error);
+    next(error);
+  }
+};
+
+export const updateMealPlanEntry = async (req, res, next) => {
+  try {
+    const { entryId } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const owned = await fetchOwnedEntry(client, entryId, req.userId);
+    if (owned.status) {
+      return res.status(owned.status).json(formatError(owned.message, owned.status));
+    }
+
+    const { fields, error: fieldsError } = parseEntryFields(req.body);
+    if (fieldsError) {
+      return res.status(400).json(formatError(fieldsError, 400));
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json(formatError("No valid fields to update", 400));
+    }
+
+    const { error } = await client
+      .from("meal_plan_entries")
+      .update(fields)
+      .eq("id", entryId);
+
+    if (error) throw error;
+
+    const entry = await fetchEntry(client, entryId, req.userId);
+
+    return res.status(200).json(formatSuccess(entry, "Meal plan entry updated successfully"));
+  } catch (error) {
+    console.error("Error updating meal plan entry:", error);
+    next(error);
+  }
+};
+
+export const copyMealPlanEntry = async (req, res, next) => {
+  try {
+    const { entryId } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const owned = await fetchOwnedEntry(client, entryId, req.userId);
+    if (owned.status) {
+      return res.status(owned.status).json(formatError(owned.message, owned.status));
+    }
+
+    const { fields, error: fieldsError } = parseEntryFields(req.body);
+    if (fieldsError) {
+      return res.status(400).json(formatError(fieldsError, 400));
+    }
+
+    const { entry: source } = owned;
+
+    const { data: recipe } = await client
+      .from("recipes")
+      .select(RECIPE_ACCESS_FIELDS)
+      .eq("id", source.recipe_id)
+      .maybeSingle();
+
+    if (!canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json(formatError("Recipe not found", 404));
+    }
+
+    const { data, error } = await client
+      .from("meal_plan_entries")
+      .insert({
+        user_id: req.userId,
+        recipe_id: source.recipe_id,
+        date: source.date,
+        slot: source.slot,
+        servings: source.servings,
+        note: source.note,
+        ...fields,
+      })
+      .select("id")
+      .single();
+
+    if (error) throw error;
+
+    const entry = await fetchEntry(client, data.id, req.userId);
+
+    return res.status(201).json(formatSuccess(entry, "Meal plan entry copied successfully", 201));
+  } catch (error) {
+    console.error("Error copying meal plan entry:", error);
+    next(error);
+  }
+};
+
+export const deleteMealPlanEntry = async (req, res, next) => {
+  try {
+    const { entryId } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const owned = await fetchOwnedEntry(client, entryId, req.userId);
+    if (owned.status) {
+      return res.status(owned.status).json(formatError(owned.message, owned.status));
+    }
+
+    const { error } = await client.from("meal_plan_entries").delete().eq("id", entryId);
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(null, "Meal plan entry deleted successfully"));
+  } catch (error) {
+    console.error("Error deleting meal plan entry:", error);
+    next(error);
+  }
+};
+
+// ─── Shopping list ────────────────────────────────────────────────────────────
+
+export const createMealPlanShoppingList = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const { from, to, name, include_optional = false } = req.body;
+
+    const rangeError = validateDateRange(from, to);
+    if (rangeError) {
+      return res.status(400).json(formatError(rangeError, 400));
+    }
+
+    const entries = await fetchMealPlanEntries(client, req.userId, from, to);
+    const requests = entries
+      .filter((entry) => entry.recipe)
+      .map((entry) => ({ id: entry.recipe.id, servings: entry.servings }));
+
+    if (requests.length === 0) {
+      return res.status(404).json(formatError("No planned meals in this date range", 404));
+    }
+
+    const list = await buildShoppingList(client, req.userId, requests, {
+      name: name || `Meal plan ${from} – ${to}`,
+      includeOptional: Boolean(include_optional),
+    });
+
+    return res.status(201).json(formatSuccess(list, "Shopping list created successfully", 201));
+  } catch (error) {
+    console.error("Error creating meal plan shopping list:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,437 @@
+import { supabaseAdmin } from "../config/db.js";
+import {
+  formatSuccess,
+  formatError,
+  formatPagination,
+} from "../utils/responseFormatter.js";
+import { REPORT_TARGETS, REPORT_FIELDS } from "./reportController.js";
+import { ROLES, outranks } from "../utils/permissions.js";
+
+const REPORT_STATUSES = ["open", "dismissed", "actioned"];
+const MODERATION_ACTIONS = ["hide_content", "remove_image", "suspend_user"];
+const HIDEABLE_TARGETS = ["recipe", "collection"];
+const TARGET_SUMMARY_FIELDS = {
+  recipe: "id, name, main_image_url, user_id, hidden_at",
+  collection: "id, name, cover_image_url, user_id, hidden_at",
+  user: "id, name, username, avatar_url, suspended_at",
+};
+const MAX_LIMIT = 50;
+// Suspensions have no end date; Supabase Auth takes the ban as a duration
+const SUSPENSION_DURATION = "876000h";
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Attach a short summary of the reported content to each report
+ */
+const withTargets = async (reports) => {
+  const idsByType = {};
+  for (const report of reports) {
+    (idsByType[report.target_type] ||= new Set()).add(report.target_id);
+  }
+
+  const targets = new Map();
+  await Promise.all(
+    Object.entries(idsByType).map(async ([type, ids]) => {
+      const { data, error } = await supabaseAdmin
+        .from(REPORT_TARGETS[type].table)
+        .select(TARGET_SUMMARY_FIELDS[type])
+        .in("id", [...ids]);
+
+      if (error) throw error;
+      for (const row of data) targets.set(`${type}:${row.id}`, row);
+    })
+  );
+
+  return reports.map((report) => ({
+    ...report,
+    target: targets.get(`${report.target_type}:${report.target_id}`) || null,
+  }));
+};
+
+const fetchReport = async (id) => {
+  const { data, error } = await supabaseAdmin
+    .from("reports")
+    .select(REPORT_FIELDS)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Owner of the reported content (the user itself for profile reports)
+ */
+const fetchTargetOwnerId = async (report) => {
+  if (report.target_type === "user") return report.target_id;
+
+  const { data, error } = await supabaseAdmin
+    .from(REPORT_TARGETS[report.target_type].table)
+    .select("user_id")
+    .eq("id", report.target_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.user_id ?? null;
+};
+
+/**
+ * Apply a moderation decision through the moderate_content database function,
+ * which changes the content, resolves the report(s) and writes the audit row
+ * in one transaction
+ * Returns { rejected: { status, message } } when the report or content changed
+ * since it was read (report already resolved, reported image already gone)
+ */
+const moderateContent = async ({ action, moderatorId, note, reportId = null, targetType = null, targetId = null }) => {
+  const { error } = await supabaseAdmin.rpc("moderate_content", {
+    p_action: action,
+    p_moderator_id: moderatorId,
+    p_note: note || null,
+    p_report_id: reportId,
+    p_target_type: targetType,
+    p_target_id: targetId,
+  });
+
+  if (error?.code === "55000") {
+    return { rejected: { status: 409, message: error.message } };
+  }
+  if (error) throw error;
+  return {};
+};
+
+/**
+ * Check that a user exists and ranks below the moderator
+ * Returns { status, message } when the moderator may not act on the user
+ */
+const checkUserOutranked = async (userId, moderatorRole) => {
+  const { data: user, error } = await supabaseAdmin
+    .from("users")
+    .select("id, role, suspended_at")
+    .eq("id", userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!user) {
+    return { rejected: { status: 404, message: "User not found" } };
+  }
+  if (!outranks(moderatorRole, user.role)) {
+    return { rejected: { status: 403, message: "You cannot act on a user with an equal or higher role" } };
+  }
+  return { user };
+};
+
+/**
+ * Check that a moderation action applies to a report, and suspend the user
+ * behind it in Supabase Auth when that is the action
+ * The ban comes first because it cannot join the database transaction; it is
+ * idempotent, so a failed moderate_content call can simply be retried
+ * Returns { status, message } when the action does not apply to the report
+ */
+const prepareModerationAction = async (report, action, moderatorRole) => {
+  if (action === "hide_content") {
+    return HIDEABLE_TARGETS.includes(report.target_type)
+      ? null
+      : { status: 400, message: "Profiles cannot be hidden; suspend the user instead" };
+  }
+
+  if (action === "remove_image") {
+    return report.image_url ? null : { status: 400, message: "This report is not about an image" };
+  }
+
+  const userId = await fetchTargetOwnerId(report);
+  if (!userId) {
+    return { status: 404, message: "Reported content not found" };
+  }
+
+  const { rejected } = await checkUserOutranked(userId, moderatorRole);
+  if (rejected) return rejected;
+
+  const { error: banError } = await supabaseAdmin.auth.admin.updateUserById(userId, {
+    ban_duration: SUSPENSION_DURATION,
+  });
+  if (banError) throw banError;
+
+  return null;
+};
+
+// ─── Moderation queue ─────────────────────────────────────────────────────────
+
+/**
+ * List reports, oldest first so the queue is worked in order
+ * @param {string} req.query.status - open (default), dismissed or actioned
+ * @param {string} req.query.target_type - recipe, collection or user (optional)
+ */
+export const getReports = async (req, res, next) => {
+  try {
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), MAX_LIMIT);
+    const start = (page - 1) * limit;
+    const end = page * limit - 1;
+    const status = req.query.status || "open";
+    const { target_type } = req.query;
+
+    if (!REPORT_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json(formatError(`status must be one of: ${REPORT_STATUSES.join(", ")}`, 400));
+    }
+    if (target_type && !Object.hasOwn(REPORT_TARGETS, target_type)) {
+      return res
+        .status(400)
+        .json(formatError(`target_type must be one of: ${Object.keys(REPORT_TARGETS).join(", ")}`, 400));
+    }
+
+    let query = supabaseAdmin
+      .from("reports")
+      .select(REPORT_FIELDS, { count: "exact" })
+      .eq("status", status)
+      .order("created_at", { ascending: true })
+      .range(start, end);
+
+    if (target_type) query = query.eq("target_type", target_type);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res
+      .status(200)
+      .json(formatPagination(await withTargets(data), count, page, limit, "Reports retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching reports:", error);
+    next(error);
+  }
+};
+
+export const getReport = async (req, res, next) => {
+  try {
+    const report = await fetchReport(req.params.id);
+    if (!report) {
+      return res.status(404).json(formatError("Report not found", 404));
+    }
+
+    const [withTarget] = await withTargets([report]);
+
+    return res.status(200).json(formatSuccess(withTarget, "Report retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching report:", error);
+    next(error);
+  }
+};
+
+export const dismissReport = async (req, res, next) => {
+  try {
+    const { note } = req.body || {};
+
+    const report = await fetchReport(req.params.id);
+    if (!report) {
+      return res.status(404).json(formatError("Report not found", 404));
+    }
+    if (report.status !== "open") {
+      return res.status(409).json(formatError("Report has already been resolved", 409));
+    }
+
+    const { rejected } = await moderateContent({ action: "dismiss", moderatorId: req.userId, note, reportId: report.id });
+    if (rejected) {
+      return res.status(rejected.status).json(formatError(rejected.message, rejected.status));
+    }
+
+    return res.status(200).json(formatSuccess(await fetchReport(report.id), "Report dismissed"));
+  } catch (error) {
+    console.error("Error dismissing report:", error);
+    next(error);
+  }
+};
+
+/**
+ * Act on a report: hide the content, remove the reported image or suspend
+ * the user behind it. Every open report on the same content is resolved,
+ * except when removing an image: only the reports on that image are
+ * Only users below the moderator's role can be suspended
+ * @param {string} req.body.action - hide_content, remove_image or suspend_user
+ * @param {string} req.body.note - Moderator note (optional)
+ */
+export const actOnReport = async (req, res, next) => {
+  try {
+    const { action, note } = req.body || {};
+
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res
+        .status(400)
+        .json(formatError(`action must be one of: ${MODERATION_ACTIONS.join(", ")}`, 400));
+    }
+
+    const report = await fetchReport(req.params.id);
+    if (!report) {
+      return res.status(404).json(formatError("Report not found", 404));
+    }
+    if (report.status !== "open") {
+      return res.status(409).json(formatError("Report has already been resolved", 409));
+    }
+
+    const rejected = await prepareModerationAction(report, action, req.userRole);
+    if (rejected) {
+      return res.status(rejected.status).json(formatError(rejected.message, rejected.status));
+    }
+
+    const { rejected: stale } = await moderateContent({ action, moderatorId: req.userId, note, reportId: report.id });
+    if (stale) {
+      return res.status(stale.status).json(formatError(stale.message, stale.status));
+    }
+
+    return res.status(200).json(formatSuccess(await fetchReport(report.id), "Moderation action applied"));
+  } catch (error) {
+    console.error("Error acting on report:", error);
+    next(error);
+  }
+};
+
+// ─── Reversals ───────────────────────────────────────────────────────────────
+
+/**
+ * Make a hidden recipe or collection visible again
+ * @param {string} req.params.type - recipe or collection
+ * @param {string} req.body.note - Moderator note (optional)
+ */
+export const unhideContent = async (req, res, next) => {
+  try {
+    const { type, id } = req.params;
+    const { note } = req.body || {};
+
+    if (!HIDEABLE_TARGETS.includes(type)) {
+      return res
+        .status(400)
+        .json(formatError(`type must be one of: ${HIDEABLE_TARGETS.join(", ")}`, 400));
+    }
+
+    const { data: target, error } = await supabaseAdmin
+      .from(REPORT_TARGETS[type].table)
+      .select(TARGET_SUMMARY_FIELDS[type])
+      .eq("id", id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!target) {
+      return res.status(404).json(formatError("Content not found", 404));
+    }
+    if (!target.hidden_at) {
+      return res.status(409).json(formatError("Content is not hidden", 409));
+    }
+
+    await moderateContent({ action: "unhide_content", moderatorId: req.userId, note, targetType: type, targetId: id });
+
+    return res.status(200).json(formatSuccess({ ...target, hidden_at: null }, "Content unhidden"));
+  } catch (error) {
+    console.error("Error unhiding content:", error);
+    next(error);
+  }
+};
+
+/**
+ * Lift a user's suspension, in Supabase Auth and in the users table
+ * @param {string} req.body.note - Moderator note (optional)
+ */
+export const unsuspendUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body || {};
+
+    const { user, rejected } = await checkUserOutranked(id, req.userRole);
+    if (rejected) {
+      return res.status(rejected.status).json(formatError(rejected.message, rejected.status));
+    }
+    if (!user.suspended_at) {
+      return res.status(409).json(formatError("User is not suspended", 409));
+    }
+
+    const { error: banError } = await supabaseAdmin.auth.admin.updateUserById(id, { ban_duration: "none" });
+    if (banError) throw banError;
+
+    await moderateContent({ action: "unsuspend_user", moderatorId: req.userId, note, targetType: "user", targetId: id });
+
+    return res.status(200).json(formatSuccess(null, "User unsuspended"));
+  } catch (error) {
+    console.error("Error unsuspending user:", error);
+    next(error);
+  }
+};
+
+// ─── Roles ────────────────────────────────────────────────────────────────────
+
+/**
+ * Assign a role to a user; recorded in the audit trail like other decisions
+ * Only users below the moderator's role can be re-roled
+ * @param {string} req.body.role - user, moderator or admin
+ * @param {string} req.body.note - Reason for the change (optional)
+ */
+export const updateUserRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { role, note } = req.body || {};
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json(formatError(`role must be one of: ${ROLES.join(", ")}`, 400));
+    }
+    if (id === req.userId) {
+      return res.status(400).json(formatError("You cannot change your own role", 400));
+    }
+
+    const { rejected } = await checkUserOutranked(id, req.userRole);
+    if (rejected) {
+      return res.status(rejected.status).json(formatError(rejected.message, rejected.status));
+    }
+
+    // The role change and its audit row are written in one transaction
+    const { data, error } = await supabaseAdmin
+      .rpc("set_user_role", { p_moderator_id: req.userId, p_user_id: id, p_role: role, p_note: note || null })
+      .select("id, name, username, role")
+      .single();
+
+    if (error?.code === "P0002") {
+      return res.status(404).json(formatError("User not found", 404));
+    }
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(data, "Role updated successfully"));
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    next(error);
+  }
+};
+
+// ─── Audit trail ──────────────────────────────────────────────────────────────
+
+/**
+ * List moderator actions, newest first
+ * @param {string} req.query.moderator_id - Only actions by this moderator (optional)
+ */
+export const getModerationLog = async (req, res, next) => {
+  try {
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), MAX_LIMIT);
+    const start = (page - 1) * limit;
+    const end = page * limit - 1;
+
+    let query = supabaseAdmin
+      .from("moderation_actions")
+      .select(
+        `id, action, target_type, target_id, note, report_id, created_at,
+         moderator:users!moderator_id(id, name, username)`,
+        { count: "exact" }
+      )
+      .order("created_at", { ascending: false })
+      .range(start, end);
+
+    if (req.query.moderator_id) query = query.eq("moderator_id", req.query.moderator_id);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res
+      .status(200)
+      .json(formatPagination(data, count, page, limit, "Moderation log retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching moderation log:", error);
+    next(error);
+  }
+};
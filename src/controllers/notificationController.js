@@ -0,0 +1,228 @@
+import { getAuthenticatedClient } from "../config/db.js";
+import {
+  formatSuccess,
+  formatError,
+  formatCursorPagination,
+} from "../utils/responseFormatter.js";
+import { decodeCursor, applyCursor, paginateByCursor } from "../utils/cursor.js";
+import { NOTIFICATION_TYPES } from "../utils/notifications.js";
+
+const NOTIFICATION_FIELDS = `id, type, read_at, created_at, comment_id, review_id,
+  actor:users!actor_id(id, name, username, avatar_url),
+  recipe:recipes(id, name, main_image_url),
+  collection:collections(id, name, cover_image_url)`;
+const MAX_LIMIT = 50;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const countUnread = async (client, userId) => {
+  const { count, error } = await client
+    .from("notifications")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .is("read_at", null);
+
+  if (error) throw error;
+  return count || 0;
+};
+
+/**
+ * Map muted types to a { type: enabled } object covering every type
+ */
+const toPreferences = (mutedTypes = []) =>
+  Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, !mutedTypes.includes(type)]));
+
+// ─── Notifications ────────────────────────────────────────────────────────────
+
+/**
+ * List the user's notifications, newest first, with the unread count
+ * @param {string} req.query.cursor - Cursor from the previous page (optional)
+ * @param {string} req.query.unread - "true" to only list unread notifications
+ */
+export const getMyNotifications = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), MAX_LIMIT);
+
+    const position = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !position) {
+      return res.status(400).json(formatError("Invalid cursor", 400));
+    }
+
+    let query = client
+      .from("notifications")
+      .select(NOTIFICATION_FIELDS)
+      .eq("user_id", req.userId)
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .limit(limit + 1);
+
+    if (req.query.unread === "true") query = query.is("read_at", null);
+    if (position) query = applyCursor(query, position);
+
+    const [{ data: rows, error }, unreadCount] = await Promise.all([
+      query,
+      countUnread(client, req.userId),
+    ]);
+    if (error) throw error;
+
+    const { data, nextCursor } = paginateByCursor(rows, limit);
+
+    return res.status(200).json({
+      ...formatCursorPagination(data, nextCursor, "Notifications retrieved successfully"),
+      unreadCount,
+    });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    next(error);
+  }
+};
+
+export const getUnreadNotificationCount = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const unreadCount = await countUnread(client, req.userId);
+
+    return res
+      .status(200)
+      .json(formatSuccess({ unread_count: unreadCount }, "Unread count retrieved successfully"));
+  } catch (error) {
+    console.error("Error counting notifications:", error);
+    next(error);
+  }
+};
+
+export const markNotificationRead = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const { data: existing, error: fetchError } = await client
+      .from("notifications")
+      .select("id, read_at")
+      .eq("id", id)
+      .eq("user_id", req.userId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json(formatError("Notification not found", 404));
+    }
+
+    if (!existing.read_at) {
+      const { error } = await client
+        .from("notifications")
+        .update({ read_at: new Date().toISOString() })
+        .eq("id", id);
+
+      if (error) throw error;
+    }
+
+    return res.status(200).json(formatSuccess(null, "Notification marked as read"));
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    next(error);
+  }
+};
+
+export const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+
+    const { data, error } = await client
+      .from("notifications")
+      .update({ read_at: new Date().toISOString() })
+      .eq("user_id", req.userId)
+      .is("read_at", null)
+      .select("id");
+
+    if (error) throw error;
+
+    return res
+      .status(200)
+      .json(formatSuccess({ updated: data.length }, "All notifications marked as read"));
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    next(error);
+  }
+};
+
+// ─── Preferences ──────────────────────────────────────────────────────────────
+
+export const getNotificationPreferences = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+
+    const { data, error } = await client
+      .from("users")
+      .select("muted_notification_types")
+      .eq("id", req.userId)
+      .single();
+
+    if (error) throw error;
+
+    return res
+      .status(200)
+      .json(
+        formatSuccess(
+          toPreferences(data.muted_notification_types || []),
+          "Notification preferences retrieved successfully"
+        )
+      );
+  } catch (error) {
+    console.error("Error fetching notification preferences:", error);
+    next(error);
+  }
+};
+
+/**
+ * Enable or mute notification types
+ * @param {Object} req.body - { [type]: boolean }, only the given types change
+ */
+export const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const changes = req.body || {};
+
+    const entries = Object.entries(changes);
+    if (entries.length === 0) {
+      return res.status(400).json(formatError("No valid fields to update", 400));
+    }
+
+    for (const [type, enabled] of entries) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        return res
+          .status(400)
+          .json(formatError(`Notification type must be one of: ${NOTIFICATION_TYPES.join(", ")}`, 400));
+      }
+      if (typeof enabled !== "boolean") {
+        return res.status(400).json(formatError(`${type} must be a boolean`, 400));
+      }
+    }
+
+    const { data: current, error: fetchError } = await client
+      .from("users")
+      .select("muted_notification_types")
+      .eq("id", req.userId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    const preferences = { ...toPreferences(current.muted_notification_types || []), ...changes };
+    const muted = NOTIFICATION_TYPES.filter((type) => !preferences[type]);
+
+    const { error } = await client
+      .from("users")
+      .update({ muted_notification_types: muted })
+      .eq("id", req.userId);
+
+    if (error) throw error;
+
+    return res
+      .status(200)
+      .json(formatSuccess(preferences, "Notification preferences updated successfully"));
+  } catch (error) {
+    console.error("Error updating notification preferences:", error);
+    next(error);
+  }
+};
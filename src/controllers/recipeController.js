@@ -1,28 +1,54 @@
-import supabase, { getAuthenticatedClient } from "../config/db.js";
+import supabase, { getAuthenticatedClient, getResourceClient } from "../config/db.js";
 import {
   formatSuccess,
   formatError,
   formatPagination,
 } from "../utils/responseFormatter.js";
+import {
+  normalizeIngredientName,
+  parseIngredientInput,
+  formatQuantity,
+  describeIngredient,
+  scaleIngredient,
+} from "../utils/ingredients.js";
+import {
+  resolveUnitSystem,
+  convertRecipeUnits,
+} from "../utils/unitConversion.js";
+import {
+  extractRecipeFromHtml,
+  extractRecipeFromJsonLd,
+  mapSchemaRecipe,
+} from "../utils/recipeImport.js";
+import {
+  toSchemaRecipe,
+  toMarkdown,
+  toPlainText,
+} from "../utils/recipeExport.js";
+import {
+  RECIPE_STATUSES,
+  canViewRecipe,
+  applyRecipeVisibility,
+  RECIPE_ACCESS_FIELDS,
+} from "../utils/recipeAccess.js";
+import { fetchRatingStats } from "../utils/ratings.js";
+import {
+  fetchHiddenUserIds,
+  excludeUsers,
+} from "../utils/userAccess.js";
+import { fetchCookStats } from "../utils/cooks.js";
+import { diffSnapshots } from "../utils/revisions.js";
+
+const RECIPE_SORTS = {
+  newest: { column: "created_at", ascending: false },
+  quickest: { column: "prep_time", ascending: true },
+  easiest: { column: "difficulty", ascending: true },
+  most_favorited: { column: "favorites_count", ascending: false },
+};
 
-/**
- * Get all recipes with optional pagination
- * Updated to include main_image_url and calories
- */
-export const getAllRecipes = async (req, res, next) => {
-  try {
-    const page = Number.parseInt(req.query.page) || 1;
-    const limit = Number.parseInt(req.query.limit) || 10;
-    const start = (page - 1) * limit;
-    const end = page * limit - 1;
-
-    // Use authenticated client if token is available
-    const client = req.token ? getAuthenticatedClient(req.token) : supabase;
+const MAX_LIMIT = 50;
 
-    const { data, error, count } = await client
-      .from("recipes")
-      .select(
-        `
+const RECIPE_LIST_SELECT = `
         *,
         user:users!user_id (
           id,
@@ -38,9 +64,132 @@ export const getAllRecipes = async (req, res, next) => {
             color
           )
         )
-      `,
-        { count: "exact" }
-      )
+      `;
+
+/**
+ * Parses an optional integer query parameter (null when not a number)
+ */
+const parseOptionalInt = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const parsed = Number.parseInt(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Parses and validates search, filter and sort query parameters
+ * Returns { filters } or { error } with a validation message
+ */
+const parseRecipeFilters = (query) => {
+  const filters = {
+    search:
+      typeof query.search === "string"
+        ? query.search.replace(/[,()%*\\]/g, " ").trim() || undefined
+        : undefined,
+    tagIds: query.tags
+      ? String(query.tags)
+          .split(",")
+          .map((t) => t.trim())
+          .filter(Boolean)
+      : [],
+    sort: query.sort || "newest",
+  };
+
+  const numericParams = [
+    "maxPrepTime",
+    "minDifficulty",
+    "maxDifficulty",
+    "minCalories",
+    "maxCalories",
+    "servings",
+  ];
+
+  for (const param of numericParams) {
+    const value = parseOptionalInt(query[param]);
+    if (value === null || value < 0) {
+      return { error: `${param} must be a non-negative integer` };
+    }
+    filters[param] = value;
+  }
+
+  if (filters.tagIds.some((tagId) => !/^[\w-]+$/.test(tagId))) {
+    return { error: "tags must be a comma-separated list of tag ids" };
+  }
+
+  if (!Object.hasOwn(RECIPE_SORTS, filters.sort)) {
+    return {
+      error: `sort must be one of: ${Object.keys(RECIPE_SORTS).join(", ")}`,
+    };
+  }
+
+  return { filters };
+};
+
+/**
+ * Applies parsed filters to a recipes query
+ * Only recipes the user may see are kept (live public ones and their own),
+ * minus those by users hidden from them (filters.hiddenUserIds)
+ */
+const applyRecipeFilters = (query, filters, userId) => {
+  query = excludeUsers(applyRecipeVisibility(query, userId), filters.hiddenUserIds || []);
+
+  if (filters.search) {
+    query = query.or(
+      `name.ilike.%${filters.search}%,description.ilike.%${filters.search}%`
+    );
+  }
+  // tag_ids is a computed column (see the recipe_listing migration)
+  if (filters.tagIds.length > 0) query = query.contains("tag_ids", filters.tagIds);
+  if (filters.maxPrepTime !== undefined) query = query.lte("prep_time", filters.maxPrepTime);
+  if (filters.minDifficulty !== undefined) query = query.gte("difficulty", filters.minDifficulty);
+  if (filters.maxDifficulty !== undefined) query = query.lte("difficulty", filters.maxDifficulty);
+  if (filters.minCalories !== undefined) query = query.gte("calories", filters.minCalories);
+  if (filters.maxCalories !== undefined) query = query.lte("calories", filters.maxCalories);
+  if (filters.servings !== undefined) query = query.eq("servings", filters.servings);
+
+  return query;
+};
+
+/**
+ * Get all recipes with optional pagination
+ * Supports free-text search, tag/prep time/difficulty/calories/servings filters
+ * and sorting by newest, quickest, easiest or most_favorited
+ * Drafts, archived and not yet due scheduled recipes are only listed to their author
+ * @param {string} req.query.units - Optional "metric" or "imperial"
+ */
+export const getAllRecipes = async (req, res, next) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1;
+    const limit = Number.parseInt(req.query.limit) || 10;
+    const start = (page - 1) * limit;
+    const end = page * limit - 1;
+
+    const { filters, error: filterError } = parseRecipeFilters(req.query);
+    if (filterError) {
+      return res.status(400).json(formatError(filterError, 400));
+    }
+    filters.hiddenUserIds = await fetchHiddenUserIds(req.userId);
+
+    // Use authenticated client if token is available
+    const client = req.token ? getAuthenticatedClient(req.token) : supabase;
+
+    const { system, error: unitsError } = resolveUnitSystem(req);
+    if (unitsError) {
+      return res.status(400).json(formatError(unitsError, 400));
+    }
+
+    const sort = RECIPE_SORTS[filters.sort];
+    // favorites_count is a computed column, only selected when sorting by it
+    const select =
+      sort.column === "favorites_count" ? `${RECIPE_LIST_SELECT}, favorites_count` : RECIPE_LIST_SELECT;
+
+    const { data, error, count } = await applyRecipeFilters(
+      client.from("recipes").select(select, { count: "exact" }),
+      filters,
+      req.userId
+    )
+      .order(sort.column, { ascending: sort.ascending })
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: true })
       .range(start, end);
 
     if (error) throw error;
@@ -52,6 +201,7 @@ export const getAllRecipes = async (req, res, next) => {
         .from("collection_recipes")
         .select("recipe_id, collections!inner(user_id)")
         .eq("collections.user_id", req.userId)
+        .is("collections.deleted_at", null)
         .in("recipe_id", recipeIds);
 
       if (bookmarks) {
@@ -59,7 +209,13 @@ export const getAllRecipes = async (req, res, next) => {
       }
     }
 
-    const recipes = data.map((r) => ({ ...r, is_bookmarked: bookmarkedIds.has(r.id) }));
+    const ratingStats = await fetchRatingStats(client, data.map((r) => r.id));
+
+    const recipes = data.map((r) => ({
+      ...convertRecipeUnits(r, system),
+      ...ratingStats.get(r.id),
+      is_bookmarked: bookmarkedIds.has(r.id),
+    }));
 
     const response = formatPagination(
       recipes,
@@ -76,9 +232,34 @@ export const getAllRecipes = async (req, res, next) => {
   }
 };
 
+/**
+ * Scales ingredient amounts and calories to a different number of servings
+ * Ingredients are converted to the requested unit system in the same pass
+ */
+const scaleRecipe = (recipe, servings, system) => {
+  if (!recipe.servings || servings === recipe.servings) return recipe;
+
+  const factor = servings / recipe.servings;
+
+  return {
+    ...recipe,
+    servings,
+    original_servings: recipe.servings,
+    calories:
+      recipe.calories === null || recipe.calories === undefined
+        ? recipe.calories
+        : Math.round(recipe.calories * factor),
+    ingredients: (recipe.ingredients || []).map((ingredient) =>
+      scaleIngredient(ingredient, factor, system)
+    ),
+  };
+};
+
 /**
  * Get a recipe by ID
  * Updated to include step imageURL directly in steps
+ * @param {number} req.query.servings - Optional servings to scale the recipe to
+ * @param {string} req.query.units - Optional "metric" or "imperial"
  */
 export const getRecipeById = async (req, res, next) => {
   try {
@@ -88,15 +269,28 @@ export const getRecipeById = async (req, res, next) => {
       return res.status(400).json(formatError("Recipe ID is required", 400));
     }
 
+    const servings = parseOptionalInt(req.query.servings);
+    if (servings === null || servings < 1) {
+      return res
+        .status(400)
+        .json(formatError("servings must be a positive integer", 400));
+    }
+
     // Use authenticated client if token is available
     const client = req.token ? getAuthenticatedClient(req.token) : supabase;
 
+    const { system, error: unitsError } = resolveUnitSystem(req);
+    if (unitsError) {
+      return res.status(400).json(formatError(unitsError, 400));
+    }
+
     // Get recipe with all related data
     const { data, error } = await client
       .from("recipes")
       .select(
         `
         *,
+        author_visible,
         user:users!user_id (
           id,
           name,
@@ -107,6 +301,9 @@ export const getRecipeById = async (req, res, next) => {
           id,
           name,
           quantity,
+          amount,
+          unit,
+          note,
           optional,
           order
         ),
@@ -137,13 +334,14 @@ export const getRecipeById = async (req, res, next) => {
       throw error;
     }
 
-    if (!data) {
+    if (!canViewRecipe(data, req.userId)) {
       return res.status(404).json(formatError("Recipe not found", 404));
     }
 
-    // Sort ingredients by order
+    // Sort ingredients by order and add structured quantities
     if (data.ingredients) {
       data.ingredients.sort((a, b) => (a.order || 0) - (b.order || 0));
+      data.ingredients = data.ingredients.map(describeIngredient);
     }
 
     // Sort steps by step_number
@@ -158,25 +356,202 @@ export const getRecipeById = async (req, res, next) => {
         .select("recipe_id, collections!inner(user_id)")
         .eq("recipe_id", id)
         .eq("collections.user_id", req.userId)
+        .is("collections.deleted_at", null)
         .maybeSingle();
 
       isBookmarked = !!bookmark;
     }
 
+    const ratingStats = await fetchRatingStats(client, [data.id]);
+    const withOrigin = await withForkOrigin(client, data, req.userId);
+    const cookStats = req.userId
+      ? (await fetchCookStats(client, req.userId, [data.id])).get(data.id)
+      : {};
+
+    const recipe = convertRecipeUnits(
+      servings ? scaleRecipe(withOrigin, servings, system) : withOrigin,
+      system
+    );
+
     return res
       .status(200)
-      .json(formatSuccess({ ...data, is_bookmarked: isBookmarked }, "Recipe retrieved successfully"));
+      .json(
+        formatSuccess(
+          {
+            ...recipe,
+            ...ratingStats.get(data.id),
+            ...cookStats,
+            is_bookmarked: isBookmarked,
+          },
+          "Recipe retrieved successfully"
+        )
+      );
   } catch (error) {
     console.error("Error fetching recipe:", error);
     next(error);
   }
 };
 
+/**
+ * Match recipes against the ingredients the user has on hand
+ * Ranks by covered non-optional ingredients and lists the missing ones
+ * @param {Array<string>} req.body.ingredients - Ingredients the user has
+ * @param {number} req.body.maxMissing - Optional cap on missing ingredients
+ */
+export const matchRecipes = async (req, res, next) => {
+  try {
+    const { ingredients, maxMissing } = req.body;
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.max(Number.parseInt(req.query.limit) || 10, 1);
+    const start = (page - 1) * limit;
+
+    if (!Array.isArray(ingredients) || ingredients.length === 0) {
+      return res
+        .status(400)
+        .json(formatError("At least one ingredient is required", 400));
+    }
+
+    const pantry = ingredients.filter(
+      (item) => typeof item === "string" && normalizeIngredientName(item).length > 0
+    );
+
+    if (pantry.length === 0) {
+      return res
+        .status(400)
+        .json(formatError("Ingredients must be non-empty strings", 400));
+    }
+
+    const maxMissingCount =
+      maxMissing !== undefined && maxMissing !== null
+        ? Number.parseInt(maxMissing)
+        : undefined;
+
+    // Use authenticated client if token is available
+    const client = req.token ? getAuthenticatedClient(req.token) : supabase;
+
+    // match_recipes ranks every recipe against the pantry in the database and
+    // returns the recipe columns visibility is filtered on
+    let matchQuery = excludeUsers(
+      applyRecipeVisibility(
+        client
+          .rpc("match_recipes", { p_pantry: pantry }, { count: "exact" })
+          .select("id, matched_count, required_count, missing_ingredients"),
+        req.userId
+      ),
+      await fetchHiddenUserIds(req.userId)
+    );
+
+    if (maxMissingCount !== undefined && !Number.isNaN(maxMissingCount)) {
+      matchQuery = matchQuery.lte("missing_count", maxMissingCount);
+    }
+
+    const { data: matches, error: matchError, count } = await matchQuery
+      .order("matched_count", { ascending: false })
+      .order("missing_count", { ascending: true })
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: true })
+      .range(start, start + limit - 1);
+
+    if (matchError) throw matchError;
+
+    let pageItems = [];
+    if (matches.length > 0) {
+      const { data, error } = await client
+        .from("recipes")
+        .select(RECIPE_LIST_SELECT)
+        .in("id", matches.map((match) => match.id));
+
+      if (error) throw error;
+
+      const recipesById = new Map(data.map((recipe) => [recipe.id, recipe]));
+      pageItems = matches
+        .filter((match) => recipesById.has(match.id))
+        .map(({ id, matched_count, required_count, missing_ingredients }) => ({
+          ...recipesById.get(id),
+          matched_count,
+          required_count,
+          coverage: required_count > 0 ? matched_count / required_count : 1,
+          missing_ingredients,
+        }));
+    }
+
+    let bookmarkedIds = new Set();
+    if (req.userId && pageItems.length > 0) {
+      const { data: bookmarks } = await client
+        .from("collection_recipes")
+        .select("recipe_id, collections!inner(user_id)")
+        .eq("collections.user_id", req.userId)
+        .is("collections.deleted_at", null)
+        .in("recipe_id", pageItems.map((r) => r.id));
+
+      if (bookmarks) {
+        bookmarkedIds = new Set(bookmarks.map((b) => b.recipe_id));
+      }
+    }
+
+    const recipes = pageItems.map((r) => ({ ...r, is_bookmarked: bookmarkedIds.has(r.id) }));
+
+    return res
+      .status(200)
+      .json(
+        formatPagination(
+          recipes,
+          count,
+          page,
+          limit,
+          "Matching recipes retrieved successfully"
+        )
+      );
+  } catch (error) {
+    console.error("Error matching recipes:", error);
+    next(error);
+  }
+};
+
+/**
+ * Validates ingredient names and quantities
+ */
+const validateIngredients = (ingredients) => {
+  for (const ingredient of ingredients) {
+    if (typeof ingredient?.name !== "string" || !ingredient.name.trim()) {
+      return "Every ingredient needs a name";
+    }
+
+    const { error } = parseIngredientInput(ingredient);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validates a recipe status and its publish time
+ * Scheduled recipes need the time they go live
+ */
+const validateRecipeStatus = ({ status, publishAt }) => {
+  if (status !== undefined && !RECIPE_STATUSES.includes(status)) {
+    return `status must be one of: ${RECIPE_STATUSES.join(", ")}`;
+  }
+
+  if (publishAt !== undefined && publishAt !== null && Number.isNaN(Date.parse(publishAt))) {
+    return "publishAt must be a valid date";
+  }
+
+  if (status === "scheduled" && !publishAt) {
+    return "publishAt is required for scheduled recipes";
+  }
+
+  return null;
+};
+
 /**
  * Validates recipe creation data
+ * Drafts may be saved before their steps are written
  */
 const validateRecipeData = (data) => {
-  const { name, prepTime, servings, difficulty, ingredients, steps, isPublic } = data;
+  const { name, prepTime, servings, difficulty, ingredients, steps, isPublic, status } = data;
 
   if (!name?.trim()) {
     return "Name is required";
@@ -198,7 +573,16 @@ const validateRecipeData = (data) => {
     return "At least one ingredient is required";
   }
 
-  if (!steps || !Array.isArray(steps) || steps.length === 0) {
+  const ingredientsError = validateIngredients(ingredients);
+  if (ingredientsError) {
+    return ingredientsError;
+  }
+
+  if (status === "draft") {
+    if (steps !== undefined && !Array.isArray(steps)) {
+      return "Steps must be an array";
+    }
+  } else if (!steps || !Array.isArray(steps) || steps.length === 0) {
     return "At least one step is required";
   }
 
@@ -206,63 +590,127 @@ const validateRecipeData = (data) => {
     return "isPublic is required";
   }
 
-  return null;
+  return validateRecipeStatus(data);
 };
 
 /**
- * Inserts ingredients for a recipe
+ * Builds ingredient rows for a recipe
+ * Quantities are stored structured (amount, unit, note) and as a display string
  */
-const insertIngredients = async (client, recipeId, ingredients) => {
-  const ingredientsToInsert = ingredients.map((ingredient, index) => ({
-    recipe_id: recipeId,
-    name: ingredient.name,
-    quantity: ingredient.quantity || null,
-    optional: ingredient.optional || false,
-    order: ingredient.order || index + 1,
-  }));
-
-  const { error } = await client.from("ingredients").insert(ingredientsToInsert);
-  if (error) throw error;
-};
+const buildIngredientRows = (ingredients) =>
+  ingredients.map((ingredient, index) => {
+    const { amount, unit, note } = parseIngredientInput(ingredient);
+
+    return {
+      name: ingredient.name,
+      quantity: formatQuantity({ amount, unit, note }) || null,
+      amount,
+      unit,
+      note,
+      optional: ingredient.optional || false,
+      order: ingredient.order || index + 1,
+    };
+  });
 
 /**
- * Inserts steps for a recipe
+ * Builds step rows for a recipe
  */
-const insertSteps = async (client, recipeId, steps) => {
-  const stepsToInsert = steps.map((step, index) => ({
-    recipe_id: recipeId,
+const buildStepRows = (steps) =>
+  steps.map((step, index) => ({
     step_number: step.step_number || index + 1,
     description: step.description,
     tip: step.tip || null,
     image_url: step.imageUrl || null,
   }));
 
-  const { error } = await client.from("steps").insert(stepsToInsert);
-  if (error) throw error;
-};
-
 /**
- * Inserts tags for a recipe
+ * Builds recipe_tags rows for a recipe
  */
-const insertTags = async (client, recipeId, tags) => {
-  const tagsToInsert = tags.map((tag) => ({
-    recipe_id: recipeId,
+const buildTagRows = (tags) =>
+  tags.map((tag) => ({
     tag_id: tag.id ?? tag.tag_id,
   }));
 
-  const { error } = await client.from("recipe_tags").insert(tagsToInsert);
+/**
+ * Saves a recipe row and its ingredients, steps and tags in one transaction
+ * through the save_recipe database function; child lists that are present
+ * replace the stored ones, absent ones are left untouched. The saved recipe is
+ * recorded as a new revision in the same transaction
+ * @param {string|null} recipeId - Recipe to update, or null to create one
+ * @param {Object} revision - created_by and restored_from of the new revision
+ * @returns {Promise<string>} ID of the saved recipe
+ */
+const saveRecipe = async (client, recipeId, { recipe, ingredients, steps, tags, revision }) => {
+  const payload = { recipe, revision };
+  if (ingredients) payload.ingredients = buildIngredientRows(ingredients);
+  if (steps) payload.steps = buildStepRows(steps);
+  if (tags) payload.tags = buildTagRows(tags);
+
+  const { data, error } = await client.rpc("save_recipe", {
+    p_recipe_id: recipeId,
+    p_payload: payload,
+  });
+
   if (error) throw error;
+  return data;
+};
+
+/**
+ * Adds forked_from to a recipe that was forked from another one
+ * The origin is reported as unavailable once it is deleted or the viewer can
+ * no longer see it
+ * @param {string|null} viewerId - User the recipe is shown to
+ */
+const withForkOrigin = async (client, recipe, viewerId) => {
+  const { forked_from_id, forked_from_user_id, forked_from_name, ...rest } = recipe;
+  if (!forked_from_name) return { ...rest, forked_from: null };
+
+  let parent = null;
+  if (forked_from_id) {
+    const { data } = await client
+      .from("recipes")
+      .select(`${RECIPE_ACCESS_FIELDS}, name`)
+      .eq("id", forked_from_id)
+      .maybeSingle();
+    parent = data;
+  }
+
+  let author = null;
+  if (forked_from_user_id) {
+    const { data } = await client
+      .from("users")
+      .select("id, name, username, avatar_url")
+      .eq("id", forked_from_user_id)
+      .maybeSingle();
+    author = data;
+  }
+
+  const available = canViewRecipe(parent, viewerId);
+
+  return {
+    ...rest,
+    forked_from: {
+      id: available ? parent.id : null,
+      name: available ? parent.name : forked_from_name,
+      user: author || null,
+      available,
+    },
+  };
 };
 
 /**
  * Fetches complete recipe with all relations
+ * @param {string|null} viewerId - User the recipe is shown to
+ * @param {Object} viewerClient - Client reading the fork origin; pass the
+ *   viewer's own when client is the admin client (default: client)
  */
-const fetchCompleteRecipe = async (client, recipeId) => {
+const fetchCompleteRecipe = async (client, recipeId, viewerId, viewerClient = client) => {
   const { data, error } = await client
     .from("recipes")
     .select(
       `
       *,
+      author_visible,
       user:users!user_id (
         id,
         name,
@@ -272,6 +720,9 @@ const fetchCompleteRecipe = async (client, recipeId) => {
         id,
         name,
         quantity,
+        amount,
+        unit,
+        note,
         optional,
         order
       ),
@@ -296,34 +747,43 @@ const fetchCompleteRecipe = async (client, recipeId) => {
     .single();
 
   if (error) throw error;
-  return data;
+
+  if (data.ingredients) {
+    data.ingredients = data.ingredients.map(describeIngredient);
+  }
+
+  return withForkOrigin(viewerClient, data, viewerId);
 };
 
 /**
- * Verifies if a recipe exists
+ * Counts the stored steps of a recipe
  */
-const verifyRecipeExists = async (client, id) => {
-  const { data, error } = await client
-    .from("recipes")
-    .select()
-    .eq("id", id)
-    .single();
+const countSteps = async (client, recipeId) => {
+  const { count, error } = await client
+    .from("steps")
+    .select("id", { count: "exact", head: true })
+    .eq("recipe_id", recipeId);
 
-  if (error) {
-    if (error.code === "PGRST116") {
-      return { exists: false, notFound: true };
-    }
-    throw error;
-  }
-
-  return { exists: !!data, notFound: false };
+  if (error) throw error;
+  return count || 0;
 };
 
 /**
  * Prepares updated data for recipe
  */
 const prepareRecipeUpdateData = (body) => {
-  const { name, description, prepTime, servings, difficulty, calories, mainImageURL, isPublic } = body;
+  const {
+    name,
+    description,
+    prepTime,
+    servings,
+    difficulty,
+    calories,
+    mainImageURL,
+    isPublic,
+    status,
+    publishAt,
+  } = body;
   const updatedData = {};
 
   if (name) updatedData.name = name.trim();
@@ -334,128 +794,279 @@ const prepareRecipeUpdateData = (body) => {
   if (calories !== undefined) updatedData.calories = calories ? Number.parseInt(calories) : null;
   if (mainImageURL !== undefined) updatedData.main_image_url = mainImageURL;
   if (isPublic !== undefined) updatedData.is_public = Boolean(isPublic);
+  if (status !== undefined) updatedData.status = status;
+  if (publishAt !== undefined) updatedData.publish_at = publishAt ? new Date(publishAt).toISOString() : null;
 
   return updatedData;
 };
 
 /**
- * Updates recipe basic information
+ * Creates a recipe from a validated payload with its ingredients, steps and tags
+ * Nothing is stored if any part fails; the created recipe is recorded as its
+ * first revision
  */
-const updateRecipeBasicInfo = async (client, id, updatedData) => {
-  if (Object.keys(updatedData).length === 0) return;
-
-  const { error } = await client
-    .from("recipes")
-    .update(updatedData)
-    .eq("id", id);
-
-  if (error) throw error;
+const persistNewRecipe = async (client, userId, payload, extraColumns = {}) => {
+  const {
+    name,
+    description,
+    prepTime,
+    servings,
+    difficulty,
+    calories,
+    mainImageURL,
+    ingredients,
+    steps,
+    tags,
+    isPublic,
+    status,
+    publishAt,
+    created_at,
+  } = payload;
+
+  const newRecipe = {
+    name: name.trim(),
+    description: description?.trim() || "",
+    prep_time: Number.parseInt(prepTime),
+    servings: Number.parseInt(servings),
+    difficulty: Number.parseInt(difficulty),
+    calories: calories ? Number.parseInt(calories) : null,
+    main_image_url: mainImageURL || null,
+    created_at: created_at || new Date().toISOString(),
+    is_public: Boolean(isPublic),
+    status: status || "published",
+    publish_at: publishAt ? new Date(publishAt).toISOString() : null,
+    ...extraColumns,
+  };
+
+  const recipeId = await saveRecipe(client, null, {
+    recipe: newRecipe,
+    ingredients,
+    steps: steps || [],
+    tags: tags || [],
+    revision: { created_by: userId },
+  });
+
+  return fetchCompleteRecipe(client, recipeId, userId);
 };
 
 /**
- * Updates ingredients for a recipe (delete and replace)
+ * Create a new recipe
+ * Updated to handle mainImageURL, calories, ingredient units/order, and step imageURL
  */
-const updateIngredients = async (client, recipeId, ingredients) => {
-  await client.from("ingredients").delete().eq("recipe_id", recipeId);
+export const createRecipe = async (req, res, next) => {
+  try {
+    const validationError = validateRecipeData(req.body);
+    if (validationError) {
+      return res.status(400).json(formatError(validationError, 400));
+    }
+
+    const authenticatedSupabase = getAuthenticatedClient(req.token);
+    const completeRecipe = await persistNewRecipe(
+      authenticatedSupabase,
+      req.userId,
+      req.body
+    );
 
-  if (ingredients.length > 0) {
-    await insertIngredients(client, recipeId, ingredients);
+    return res
+      .status(201)
+      .json(formatSuccess(completeRecipe, "Recipe created successfully", 201));
+  } catch (error) {
+    console.error("Error creating recipe:", error);
+    next(error);
   }
 };
 
+// Fields of the createRecipe payload an import may override
+const IMPORT_OVERRIDE_FIELDS = [
+  "name",
+  "description",
+  "prepTime",
+  "servings",
+  "difficulty",
+  "calories",
+  "mainImageURL",
+  "ingredients",
+  "steps",
+  "tags",
+  "isPublic",
+  "status",
+  "publishAt",
+];
+
 /**
- * Updates steps for a recipe (delete and replace)
+ * Validates the overrides applied to an imported draft
+ * Only createRecipe fields are accepted; the rest of the draft is checked by
+ * validateRecipeData once they are applied
  */
-const updateSteps = async (client, recipeId, steps) => {
-  await client.from("steps").delete().eq("recipe_id", recipeId);
+const validateImportOverrides = (overrides) => {
+  if (typeof overrides !== "object" || overrides === null || Array.isArray(overrides)) {
+    return "overrides must be an object";
+  }
 
-  if (steps.length > 0) {
-    await insertSteps(client, recipeId, steps);
+  const unknown = Object.keys(overrides).filter((key) => !IMPORT_OVERRIDE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown override fields: ${unknown.join(", ")}. Allowed: ${IMPORT_OVERRIDE_FIELDS.join(", ")}`;
   }
-};
 
-/**
- * Updates tags for a recipe (delete and replace)
- */
-const updateTags = async (client, recipeId, tags) => {
-  const { error: deleteError } = await client.from("recipe_tags").delete().eq("recipe_id", recipeId);
-  if (deleteError) throw deleteError;
+  const { description, calories, mainImageURL, steps, tags } = overrides;
 
-  if (tags.length > 0) {
-    await insertTags(client, recipeId, tags);
+  if (description !== undefined && description !== null && typeof description !== "string") {
+    return "description must be a string";
+  }
+  if (mainImageURL !== undefined && mainImageURL !== null && typeof mainImageURL !== "string") {
+    return "mainImageURL must be a string";
+  }
+  if (
+    calories !== undefined &&
+    calories !== null &&
+    !(Number.isInteger(Number(calories)) && Number(calories) >= 0)
+  ) {
+    return "calories must be a non-negative integer";
+  }
+  if (steps !== undefined && !Array.isArray(steps)) {
+    return "steps must be an array";
+  }
+  if (tags !== undefined && !Array.isArray(tags)) {
+    return "tags must be an array";
   }
+
+  return null;
 };
 
 /**
- * Create a new recipe
- * Updated to handle mainImageURL, calories, ingredient units/order, and step imageURL
+ * Import a recipe from a schema.org JSON-LD object or an HTML document
+ * Returns a draft in the createRecipe shape unless save is true
+ * @param {string} req.body.html - Raw HTML (or a text/html request body)
+ * @param {Object|string} req.body.jsonld - JSON-LD Recipe
+ * @param {Object} req.body.overrides - Fields to set on the draft (difficulty, isPublic, tags...)
+ * @param {boolean} req.body.save - Persist the draft as a new recipe
  */
-export const createRecipe = async (req, res, next) => {
+export const importRecipe = async (req, res, next) => {
   try {
-    const {
-      name,
-      description,
-      prepTime,
-      servings,
-      difficulty,
-      calories,
-      mainImageURL,
-      ingredients,
-      steps,
-      tags,
-      isPublic,
-      created_at,
-    } = req.body;
+    const body = typeof req.body === "string" ? { html: req.body } : req.body || {};
+    const { html, jsonld, overrides = {} } = body;
+    const save = body.save === true || body.save === "true" || req.query.save === "true";
 
-    const validationError = validateRecipeData(req.body);
-    if (validationError) {
-      return res.status(400).json(formatError(validationError, 400));
+    if (!html && !jsonld) {
+      return res
+        .status(400)
+        .json(formatError("Either html or jsonld is required", 400));
     }
 
-    const authenticatedSupabase = getAuthenticatedClient(req.token);
+    const node = jsonld
+      ? extractRecipeFromJsonLd(jsonld)
+      : extractRecipeFromHtml(String(html));
 
-    const newRecipe = {
-      name: name.trim(),
-      description: description?.trim() || "",
-      prep_time: Number.parseInt(prepTime),
-      servings: Number.parseInt(servings),
-      difficulty: Number.parseInt(difficulty),
-      calories: calories ? Number.parseInt(calories) : null,
-      main_image_url: mainImageURL || null,
-      user_id: req.userId,
-      created_at: created_at || new Date().toISOString(),
-      is_public: Boolean(isPublic),
-    };
+    if (!node) {
+      return res
+        .status(422)
+        .json(formatError("No schema.org Recipe found in the provided content", 422));
+    }
 
-    const { data: recipeData, error: recipeError } = await authenticatedSupabase
-      .from("recipes")
-      .insert([newRecipe])
-      .select()
-      .single();
+    const overridesError = validateImportOverrides(overrides);
+    if (overridesError) {
+      return res.status(400).json(formatError(overridesError, 400));
+    }
 
-    if (recipeError) throw recipeError;
+    const draft = { ...mapSchemaRecipe(node), ...overrides };
+    const validationError = validateRecipeData(draft);
 
-    const recipeId = recipeData.id;
+    if (!save) {
+      return res
+        .status(200)
+        .json(
+          formatSuccess(
+            { draft, validation_error: validationError },
+            "Recipe import preview generated successfully"
+          )
+        );
+    }
 
-    try {
-      await insertIngredients(authenticatedSupabase, recipeId, ingredients);
-      await insertSteps(authenticatedSupabase, recipeId, steps);
+    if (validationError) {
+      return res.status(400).json(formatError(validationError, 400));
+    }
 
-      if (tags?.length > 0) {
-        await insertTags(authenticatedSupabase, recipeId, tags);
-      }
+    const authenticatedSupabase = getAuthenticatedClient(req.token);
+    const completeRecipe = await persistNewRecipe(
+      authenticatedSupabase,
+      req.userId,
+      draft
+    );
+
+    return res
+      .status(201)
+      .json(formatSuccess(completeRecipe, "Recipe imported successfully", 201));
+  } catch (error) {
+    console.error("Error importing recipe:", error);
+    next(error);
+  }
+};
+
+const EXPORT_FORMATS = {
+  jsonld: {
+    extension: "jsonld",
+    contentType: "application/ld+json; charset=utf-8",
+    render: (recipe) => JSON.stringify(toSchemaRecipe(recipe), null, 2),
+  },
+  markdown: {
+    extension: "md",
+    contentType: "text/markdown; charset=utf-8",
+    render: toMarkdown,
+  },
+  txt: {
+    extension: "txt",
+    contentType: "text/plain; charset=utf-8",
+    render: toPlainText,
+  },
+};
 
-      const completeRecipe = await fetchCompleteRecipe(authenticatedSupabase, recipeId);
+/**
+ * Export a recipe as schema.org JSON-LD, Markdown or plain text
+ * Private recipes can only be exported by their owner
+ * @param {string} req.query.format - jsonld (default), markdown or txt
+ */
+export const exportRecipe = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || "jsonld";
 
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
       return res
-        .status(201)
-        .json(formatSuccess(completeRecipe, "Recipe created successfully", 201));
+        .status(400)
+        .json(formatError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`, 400));
+    }
+
+    // Use authenticated client if token is available
+    const client = req.token ? getAuthenticatedClient(req.token) : supabase;
+
+    let recipe;
+    try {
+      recipe = await fetchCompleteRecipe(client, id, req.userId);
     } catch (error) {
-      await authenticatedSupabase.from("recipes").delete().eq("id", recipeId);
+      if (error.code === "PGRST116") {
+        return res.status(404).json(formatError("Recipe not found", 404));
+      }
       throw error;
     }
+
+    if (!canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json(formatError("Recipe not found", 404));
+    }
+
+    const slug =
+      recipe.name
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "recipe";
+
+    const exporter = EXPORT_FORMATS[format];
+    res.attachment(`${slug}.${exporter.extension}`);
+    res.type(exporter.contentType);
+    return res.status(200).send(exporter.render(recipe));
   } catch (error) {
-    console.error("Error creating recipe:", error);
+    console.error("Error exporting recipe:", error);
     next(error);
   }
 };
@@ -463,6 +1074,10 @@ export const createRecipe = async (req, res, next) => {
 /**
  * Update an existing recipe
  * Updated to handle new fields and step imageURL
+ * A draft can only be scheduled or published once it has steps, and a
+ * scheduled or published recipe cannot lose them
+ * The recipe and its ingredients, steps and tags are saved all-or-nothing
+ * Every update stores a snapshot of the resulting recipe as a new revision
  */
 export const updateRecipe = async (req, res, next) => {
   try {
@@ -473,88 +1088,418 @@ export const updateRecipe = async (req, res, next) => {
       return res.status(400).json(formatError("Recipe ID is required", 400));
     }
 
+    if (ingredients && Array.isArray(ingredients)) {
+      const ingredientsError = validateIngredients(ingredients);
+      if (ingredientsError) {
+        return res.status(400).json(formatError(ingredientsError, 400));
+      }
+    }
+
+    const client = getResourceClient(req);
+    // Loaded by the requireOwnership guard
+    const stored = req.resource;
+
+    // Validate the status the recipe ends up with, not just the fields sent
+    const status = req.body.status ?? stored.status;
+    const statusError = validateRecipeStatus({
+      status,
+      publishAt: req.body.publishAt !== undefined ? req.body.publishAt : stored.publish_at,
+    });
+    if (statusError) {
+      return res.status(400).json(formatError(statusError, 400));
+    }
+
+    // Scheduled and published recipes need the steps a draft was allowed to skip
+    if (status === "scheduled" || status === "published") {
+      let stepCount = null;
+      if (Array.isArray(steps)) {
+        stepCount = steps.length;
+      } else if (req.body.status !== undefined && req.body.status !== stored.status) {
+        stepCount = await countSteps(client, id);
+      }
+
+      if (stepCount === 0) {
+        return res.status(400).json(formatError("At least one step is required", 400));
+      }
+    }
+
+    await saveRecipe(client, id, {
+      recipe: prepareRecipeUpdateData(req.body),
+      ingredients: Array.isArray(ingredients) ? ingredients : undefined,
+      steps: Array.isArray(steps) ? steps : undefined,
+      tags: Array.isArray(tags) ? tags : undefined,
+      revision: { created_by: req.userId },
+    });
+
+    const updatedRecipe = await fetchCompleteRecipe(client, id, req.userId, getAuthenticatedClient(req.token));
+
+    return res
+      .status(200)
+      .json(formatSuccess(updatedRecipe, "Recipe updated successfully"));
+  } catch (error) {
+    console.error("Error updating recipe:", error);
+    next(error);
+  }
+};
+
+// ─── Revisions ────────────────────────────────────────────────────────────────
+
+const REVISION_LIST_FIELDS = `id, revision_number, created_at, restored_from,
+  author:users!created_by(id, name, username, avatar_url)`;
+
+/**
+ * Fetches a recipe's owner and visibility for revision access checks
+ */
+const fetchRecipeAccess = async (client, id) => {
+  const { data, error } = await client
+    .from("recipes")
+    .select(RECIPE_ACCESS_FIELDS)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Limits a revisions query to snapshots taken while the recipe was public,
+ * unless the viewer owns the recipe
+ */
+const applyRevisionVisibility = (query, recipe, userId) =>
+  recipe.user_id === userId ? query : query.eq("public_snapshot", true);
+
+/**
+ * Fetches one revision with its snapshot
+ * @param {Object|null} recipe - When given, hides private snapshots from non-owners
+ */
+const fetchRevision = async (client, recipeId, revisionNumber, recipe = null, userId = null) => {
+  let query = client
+    .from("recipe_revisions")
+    .select(`${REVISION_LIST_FIELDS}, snapshot`)
+    .eq("recipe_id", recipeId)
+    .eq("revision_number", revisionNumber);
+
+  if (recipe) query = applyRevisionVisibility(query, recipe, userId);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Maps a snapshot back into the payload shape used by createRecipe/updateRecipe
+ */
+const snapshotToPayload = (snapshot) => ({
+  name: snapshot.name,
+  description: snapshot.description ?? "",
+  prepTime: snapshot.prep_time,
+  servings: snapshot.servings,
+  difficulty: snapshot.difficulty,
+  calories: snapshot.calories,
+  mainImageURL: snapshot.main_image_url,
+  isPublic: snapshot.is_public,
+  status: snapshot.status,
+  publishAt: snapshot.publish_at,
+  ingredients: (snapshot.ingredients || []).map((ingredient) => ({
+    name: ingredient.name,
+    amount: ingredient.amount,
+    unit: ingredient.unit,
+    note: ingredient.note,
+    optional: ingredient.optional,
+    order: ingredient.order,
+  })),
+  steps: (snapshot.steps || []).map((step) => ({
+    step_number: step.step_number,
+    description: step.description,
+    tip: step.tip,
+    imageUrl: step.image_url,
+  })),
+  tags: (snapshot.recipe_tags || []).map((rt) => ({ tag_id: rt.tag_id })),
+});
+
+/**
+ * List the revisions of a recipe, newest first
+ * Other users only see revisions recorded while the recipe was public
+ */
+export const getRecipeRevisions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
     const client = req.token ? getAuthenticatedClient(req.token) : supabase;
 
-    const { exists, notFound } = await verifyRecipeExists(client, id);
-    if (notFound) {
+    const recipe = await fetchRecipeAccess(client, id);
+    if (!canViewRecipe(recipe, req.userId)) {
       return res.status(404).json(formatError("Recipe not found", 404));
     }
-    if (!exists) {
+
+    const { data, error } = await applyRevisionVisibility(
+      client.from("recipe_revisions").select(REVISION_LIST_FIELDS).eq("recipe_id", id),
+      recipe,
+      req.userId
+    ).order("revision_number", { ascending: false });
+
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(data, "Revisions retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching revisions:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get one revision with its full snapshot
+ */
+export const getRecipeRevision = async (req, res, next) => {
+  try {
+    const { id, rev } = req.params;
+    const client = req.token ? getAuthenticatedClient(req.token) : supabase;
+
+    const recipe = await fetchRecipeAccess(client, id);
+    if (!canViewRecipe(recipe, req.userId)) {
       return res.status(404).json(formatError("Recipe not found", 404));
     }
 
-    const updatedData = prepareRecipeUpdateData(req.body);
-    await updateRecipeBasicInfo(client, id, updatedData);
+    const revision = await fetchRevision(client, id, Number.parseInt(rev), recipe, req.userId);
+    if (!revision) {
+      return res.status(404).json(formatError("Revision not found", 404));
+    }
 
-    if (ingredients && Array.isArray(ingredients)) {
-      await updateIngredients(client, id, ingredients);
+    return res.status(200).json(formatSuccess(revision, "Revision retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching revision:", error);
+    next(error);
+  }
+};
+
+/**
+ * Diff two revisions of a recipe
+ * @param {number} req.query.from - Older revision number
+ * @param {number} req.query.to - Newer revision number (default: latest)
+ */
+export const diffRecipeRevisions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = req.token ? getAuthenticatedClient(req.token) : supabase;
+    const from = Number.parseInt(req.query.from);
+
+    if (Number.isNaN(from)) {
+      return res.status(400).json(formatError("from revision is required", 400));
     }
 
-    if (steps && Array.isArray(steps)) {
-      await updateSteps(client, id, steps);
+    const recipe = await fetchRecipeAccess(client, id);
+    if (!canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json(formatError("Recipe not found", 404));
     }
 
-    if (tags && Array.isArray(tags)) {
-      await updateTags(client, id, tags);
+    let to = Number.parseInt(req.query.to);
+    if (Number.isNaN(to)) {
+      const { data: latest } = await applyRevisionVisibility(
+        client.from("recipe_revisions").select("revision_number").eq("recipe_id", id),
+        recipe,
+        req.userId
+      )
+        .order("revision_number", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      to = latest?.revision_number;
     }
 
-    const updatedRecipe = await fetchCompleteRecipe(client, id);
+    const [before, after] = await Promise.all([
+      fetchRevision(client, id, from, recipe, req.userId),
+      to ? fetchRevision(client, id, to, recipe, req.userId) : null,
+    ]);
 
-    return res
-      .status(200)
-      .json(formatSuccess(updatedRecipe, "Recipe updated successfully"));
+    if (!before || !after) {
+      return res.status(404).json(formatError("Revision not found", 404));
+    }
+
+    return res.status(200).json(
+      formatSuccess(
+        { from, to, changes: diffSnapshots(before.snapshot, after.snapshot) },
+        "Revision diff generated successfully"
+      )
+    );
   } catch (error) {
-    console.error("Error updating recipe:", error);
+    console.error("Error diffing revisions:", error);
     next(error);
   }
 };
 
 /**
- * Delete a recipe
+ * Restore a recipe to a previous revision
+ * The restored state is recorded as a new revision, so history is never rewritten
  */
-export const deleteRecipe = async (req, res, next) => {
+export const restoreRecipeRevision = async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const { id, rev } = req.params;
+    const client = getResourceClient(req);
 
-    if (!id) {
-      return res.status(400).json(formatError("Recipe ID is required", 400));
+    const revision = await fetchRevision(client, id, Number.parseInt(rev));
+    if (!revision) {
+      return res.status(404).json(formatError("Revision not found", 404));
     }
 
-    // Create authenticated Supabase client
-    const authenticatedSupabase = getAuthenticatedClient(req.token);
+    const payload = snapshotToPayload(revision.snapshot);
 
-    // Verify the recipe exists
-    const { data: existingRecipe, error: fetchError } =
-      await authenticatedSupabase
-        .from("recipes")
-        .select()
-        .eq("id", id)
-        .single();
+    await saveRecipe(client, id, {
+      recipe: prepareRecipeUpdateData(payload),
+      ingredients: payload.ingredients,
+      steps: payload.steps,
+      tags: payload.tags,
+      revision: { created_by: req.userId, restored_from: revision.revision_number },
+    });
+
+    const restoredRecipe = await fetchCompleteRecipe(client, id, req.userId, getAuthenticatedClient(req.token));
+
+    return res
+      .status(200)
+      .json(formatSuccess(restoredRecipe, `Recipe restored to revision ${revision.revision_number}`));
+  } catch (error) {
+    console.error("Error restoring revision:", error);
+    next(error);
+  }
+};
 
-    if (fetchError) {
-      if (fetchError.code === "PGRST116") {
+// ─── Forks ────────────────────────────────────────────────────────────────────
+
+/**
+ * Fork a recipe into the caller's account as a private draft
+ * The copy keeps a reference to its origin and author, which survives the
+ * origin being deleted
+ */
+export const forkRecipe = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    let original;
+    try {
+      original = await fetchCompleteRecipe(client, id, req.userId);
+    } catch (error) {
+      if (error.code === "PGRST116") {
         return res.status(404).json(formatError("Recipe not found", 404));
       }
-      throw fetchError;
+      throw error;
     }
 
-    if (!existingRecipe) {
+    if (!canViewRecipe(original, req.userId)) {
       return res.status(404).json(formatError("Recipe not found", 404));
     }
 
-    // Delete the recipe (CASCADE will handle related data)
+    const payload = {
+      ...snapshotToPayload(original),
+      isPublic: false,
+      status: "draft",
+      publishAt: null,
+      created_at: undefined,
+    };
+
+    const fork = await persistNewRecipe(client, req.userId, payload, {
+      forked_from_id: original.id,
+      forked_from_user_id: original.user_id,
+      forked_from_name: original.name,
+    });
+
+    return res.status(201).json(formatSuccess(fork, "Recipe forked successfully", 201));
+  } catch (error) {
+    console.error("Error forking recipe:", error);
+    next(error);
+  }
+};
+
+/**
+ * List the forks of a recipe visible to the caller
+ * Forks by blocked or muted users are left out
+ */
+export const getRecipeForks = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = req.token ? getAuthenticatedClient(req.token) : supabase;
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 10, 1), MAX_LIMIT);
+    const start = (page - 1) * limit;
+    const end = page * limit - 1;
+
+    const recipe = await fetchRecipeAccess(client, id);
+    if (!canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json(formatError("Recipe not found", 404));
+    }
+
+    const query = client
+      .from("recipes")
+      .select(RECIPE_LIST_SELECT, { count: "exact" })
+      .eq("forked_from_id", id)
+      .order("created_at", { ascending: false })
+      .range(start, end);
+
+    const { data, error, count } = await excludeUsers(
+      applyRecipeVisibility(query, req.userId),
+      await fetchHiddenUserIds(req.userId)
+    );
+    if (error) throw error;
+
+    return res
+      .status(200)
+      .json(formatPagination(data, count, page, limit, "Forks retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching forks:", error);
+    next(error);
+  }
+};
+
+/**
+ * Move a recipe to the trash
+ * The row and its relations (collections, favorites, tags...) are kept until
+ * the trash is purged, so restoreRecipe can bring it back intact
+ */
+export const deleteRecipe = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id) {
+      return res.status(400).json(formatError("Recipe ID is required", 400));
+    }
+
+    const authenticatedSupabase = getResourceClient(req);
+
+    // Soft delete; the purge job removes it for good (CASCADE handles related data)
     const { error: deleteError } = await authenticatedSupabase
       .from("recipes")
-      .delete()
+      .update({ deleted_at: new Date().toISOString() })
       .eq("id", id);
 
     if (deleteError) throw deleteError;
 
     return res
       .status(200)
-      .json(formatSuccess(null, "Recipe deleted successfully"));
+      .json(formatSuccess(null, "Recipe moved to trash"));
   } catch (error) {
     console.error("Error deleting recipe:", error);
     next(error);
   }
 };
+
+/**
+ * Restore a recipe from the trash
+ */
+export const restoreRecipe = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getResourceClient(req);
+
+    const { error } = await client
+      .from("recipes")
+      .update({ deleted_at: null })
+      .eq("id", id);
+
+    if (error) throw error;
+
+    const recipe = await fetchCompleteRecipe(client, id, req.userId, getAuthenticatedClient(req.token));
+
+    return res.status(200).json(formatSuccess(recipe, "Recipe restored successfully"));
+  } catch (error) {
+    console.error("Error restoring recipe:", error);
+    next(error);
+  }
+};
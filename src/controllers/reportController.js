@@ -0,0 +1,103 @@
+import { getAuthenticatedClient, supabaseAdmin } from "../config/db.js";
+import {
+  formatSuccess,
+  formatError,
+} from "../utils/responseFormatter.js";
+import { isUuid } from "../utils/validation.js";
+
+export const REPORT_TARGETS = {
+  recipe: { table: "recipes", imageColumn: "main_image_url" },
+  collection: { table: "collections", imageColumn: "cover_image_url" },
+  user: { table: "users", imageColumn: "avatar_url" },
+};
+export const REPORT_REASONS = ["spam", "offensive", "harassment", "copyright", "inappropriate_image", "other"];
+const MAX_DETAILS_LENGTH = 1000;
+
+export const REPORT_FIELDS = `id, target_type, target_id, image_url, reason, details, status,
+  resolution_action, resolution_note, resolved_at, created_at,
+  reporter:users!reporter_id(id, name, username, avatar_url),
+  resolver:users!resolved_by(id, name, username)`;
+
+// ─── Reports ──────────────────────────────────────────────────────────────────
+
+/**
+ * Report a recipe, collection or user profile
+ * Set image_url to report one of the target's images (recipe or step photo,
+ * collection cover, avatar) rather than the whole target
+ */
+export const createReport = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const { target_type, target_id, reason, details, image_url } = req.body;
+
+    if (!Object.hasOwn(REPORT_TARGETS, target_type)) {
+      return res
+        .status(400)
+        .json(formatError(`target_type must be one of: ${Object.keys(REPORT_TARGETS).join(", ")}`, 400));
+    }
+    if (!isUuid(target_id)) {
+      return res.status(400).json(formatError("target_id must be a valid id", 400));
+    }
+    if (!REPORT_REASONS.includes(reason)) {
+      return res
+        .status(400)
+        .json(formatError(`reason must be one of: ${REPORT_REASONS.join(", ")}`, 400));
+    }
+    if (details !== undefined && details !== null && (typeof details !== "string" || details.length > MAX_DETAILS_LENGTH)) {
+      return res
+        .status(400)
+        .json(formatError(`details must be a string of at most ${MAX_DETAILS_LENGTH} characters`, 400));
+    }
+    if (image_url !== undefined && image_url !== null && typeof image_url !== "string") {
+      return res.status(400).json(formatError("image_url must be a string", 400));
+    }
+
+    // Reporters may not be able to read the target (private or hidden), so check with the admin client
+    const { data: target, error: targetError } = await supabaseAdmin
+      .from(REPORT_TARGETS[target_type].table)
+      .select("id")
+      .eq("id", target_id)
+      .maybeSingle();
+
+    if (targetError) throw targetError;
+    if (!target) {
+      return res.status(404).json(formatError("Reported content not found", 404));
+    }
+    if (target_type === "user" && target_id === req.userId) {
+      return res.status(400).json(formatError("You cannot report yourself", 400));
+    }
+
+    const { data: existing } = await client
+      .from("reports")
+      .select("id")
+      .eq("reporter_id", req.userId)
+      .eq("target_type", target_type)
+      .eq("target_id", target_id)
+      .eq("status", "open")
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json(formatError("You have already reported this content", 409));
+    }
+
+    const { data, error } = await client
+      .from("reports")
+      .insert({
+        reporter_id: req.userId,
+        target_type,
+        target_id,
+        image_url: image_url || null,
+        reason,
+        details: details?.trim() || null,
+      })
+      .select("id, target_type, target_id, image_url, reason, details, status, created_at")
+      .single();
+
+    if (error) throw error;
+
+    return res.status(201).json(formatSuccess(data, "Report submitted successfully", 201));
+  } catch (error) {
+    console.error("Error creating report:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,224 @@
+import supabase, { getAuthenticatedClient } from "../config/db.js";
+import {
+  formatSuccess,
+  formatError,
+  formatPagination,
+} from "../utils/responseFormatter.js";
+import { canViewRecipe, RECIPE_ACCESS_FIELDS } from "../utils/recipeAccess.js";
+import { notify } from "../utils/notifications.js";
+import { fetchRatingStats } from "../utils/ratings.js";
+import { fetchHiddenUserIds, excludeUsers } from "../utils/userAccess.js";
+
+const REVIEW_FIELDS = `id, rating, body, photo_url, created_at, updated_at,
+  user:users!user_id(id, name, username, avatar_url)`;
+const MAX_BODY_LENGTH = 2000;
+const MAX_LIMIT = 50;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const fetchRecipe = async (client, id) => {
+  const { data, error } = await client
+    .from("recipes")
+    .select(RECIPE_ACCESS_FIELDS)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Validate review fields, only checking those present unless required is set
+ */
+const parseReviewFields = (body, required = false) => {
+  const { rating, body: text, photo_url } = body;
+  const fields = {};
+
+  if (rating !== undefined || required) {
+    const parsed = Number(rating);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > 5) {
+      return { error: "Rating must be an integer between 1 and 5" };
+    }
+    fields.rating = parsed;
+  }
+
+  if (text !== undefined) {
+    if (text !== null && typeof text !== "string") {
+      return { error: "Review text must be a string" };
+    }
+    if (text && text.length > MAX_BODY_LENGTH) {
+      return { error: `Review text must be at most ${MAX_BODY_LENGTH} characters` };
+    }
+    fields.body = text?.trim() || null;
+  }
+
+  if (photo_url !== undefined) {
+    if (photo_url && !/^https?:\/\/\S+$/i.test(photo_url)) {
+      return { error: "photo_url must be a valid http(s) URL" };
+    }
+    fields.photo_url = photo_url || null;
+  }
+
+  return { fields };
+};
+
+const ratingSummary = async (client, recipeId) => {
+  const stats = await fetchRatingStats(client, [recipeId]);
+  return stats.get(recipeId);
+};
+
+// ─── Reviews ──────────────────────────────────────────────────────────────────
+
+export const getRecipeReviews = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = req.token ? getAuthenticatedClient(req.token) : supabase;
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 10, 1), MAX_LIMIT);
+    const start = (page - 1) * limit;
+    const end = page * limit - 1;
+
+    const recipe = await fetchRecipe(client, id);
+    if (!canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json(formatError("Recipe not found", 404));
+    }
+
+    // Reviews by blocked and muted users are left out of the listing; they
+    // still count towards the rating summary
+    const hiddenUserIds = await fetchHiddenUserIds(req.userId);
+
+    const { data, error, count } = await excludeUsers(
+      client
+        .from("recipe_reviews")
+        .select(REVIEW_FIELDS, { count: "exact" })
+        .eq("recipe_id", id),
+      hiddenUserIds
+    )
+      .range(start, end)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+
+    const response = formatPagination(data, count, page, limit, "Reviews retrieved successfully");
+    response.summary = await ratingSummary(client, id);
+
+    return res.status(200).json(response);
+  } catch (error) {
+    console.error("Error fetching reviews:", error);
+    next(error);
+  }
+};
+
+export const createReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const recipe = await fetchRecipe(client, id);
+    if (!canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json(formatError("Recipe not found", 404));
+    }
+    if (recipe.user_id === req.userId) {
+      return res.status(403).json(formatError("You cannot review your own recipe", 403));
+    }
+
+    const { fields, error: fieldsError } = parseReviewFields(req.body, true);
+    if (fieldsError) {
+      return res.status(400).json(formatError(fieldsError, 400));
+    }
+
+    const { data: existing } = await client
+      .from("recipe_reviews")
+      .select("id")
+      .eq("recipe_id", id)
+      .eq("user_id", req.userId)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json(formatError("You have already reviewed this recipe", 409));
+    }
+
+    const { data, error } = await client
+      .from("recipe_reviews")
+      .insert({ recipe_id: id, user_id: req.userId, ...fields })
+      .select(REVIEW_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    await notify({
+      userId: recipe.user_id,
+      actorId: req.userId,
+      type: "review",
+      recipeId: id,
+      reviewId: data.id,
+    });
+
+    return res.status(201).json(
+      formatSuccess({ review: data, summary: await ratingSummary(client, id) }, "Review created successfully", 201)
+    );
+  } catch (error) {
+    console.error("Error creating review:", error);
+    next(error);
+  }
+};
+
+export const updateReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const { fields, error: fieldsError } = parseReviewFields(req.body);
+    if (fieldsError) {
+      return res.status(400).json(formatError(fieldsError, 400));
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json(formatError("No valid fields to update", 400));
+    }
+
+    const { data, error } = await client
+      .from("recipe_reviews")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("recipe_id", id)
+      .eq("user_id", req.userId)
+      .select(REVIEW_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json(formatError("Review not found", 404));
+    }
+
+    return res.status(200).json(
+      formatSuccess({ review: data, summary: await ratingSummary(client, id) }, "Review updated successfully")
+    );
+  } catch (error) {
+    console.error("Error updating review:", error);
+    next(error);
+  }
+};
+
+export const deleteReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const { data, error } = await client
+      .from("recipe_reviews")
+      .delete()
+      .eq("recipe_id", id)
+      .eq("user_id", req.userId)
+      .select("id");
+
+    if (error) throw error;
+    if (!data?.length) {
+      return res.status(404).json(formatError("Review not found", 404));
+    }
+
+    return res.status(200).json(formatSuccess(null, "Review deleted successfully"));
+  } catch (error) {
+    console.error("Error deleting review:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,449 @@
+import { getAuthenticatedClient } from "../config/db.js";
+import {
+  formatSuccess,
+  formatError,
+} from "../utils/responseFormatter.js";
+import {
+  describeIngredient,
+  parseIngredientInput,
+} from "../utils/ingredients.js";
+import {
+  mergeIngredients,
+  describeShoppingItem,
+} from "../utils/shoppingList.js";
+import {
+  canViewRecipe,
+  canViewCollection,
+  RECIPE_ACCESS_FIELDS,
+} from "../utils/recipeAccess.js";
+
+const LIST_FIELDS = "id, name, created_at, updated_at";
+const ITEM_FIELDS = "id, name, amount, unit, note, checked, is_manual, recipe_ids, position";
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const fetchOwnedList = async (client, id, userId) => {
+  const { data: list, error } = await client
+    .from("shopping_lists")
+    .select(`${LIST_FIELDS}, user_id`)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!list) return { status: 404, message: "Shopping list not found" };
+  if (list.user_id !== userId) return { status: 403, message: "Access denied" };
+
+  return { list };
+};
+
+const fetchListWithItems = async (client, id) => {
+  const { data, error } = await client
+    .from("shopping_lists")
+    .select(`${LIST_FIELDS}, shopping_list_items(${ITEM_FIELDS})`)
+    .eq("id", id)
+    .single();
+
+  if (error) throw error;
+
+  const { shopping_list_items, ...rest } = data;
+  const items = (shopping_list_items || [])
+    .sort((a, b) => (a.position || 0) - (b.position || 0))
+    .map(describeShoppingItem);
+
+  return {
+    ...rest,
+    item_count: items.length,
+    checked_count: items.filter((item) => item.checked).length,
+    items,
+  };
+};
+
+/**
+ * Resolve the requested recipes and servings from either a list of recipes or
+ * a collection, keeping only those the user is allowed to see
+ */
+const resolveRecipeRequests = async (client, userId, body) => {
+  const { recipes, recipe_ids, collection_id } = body;
+
+  if (collection_id) {
+    const { data: collection, error } = await client
+      .from("collections")
+      .select("user_id, is_public, hidden_at, author_visible, collection_recipes(recipe_id)")
+      .eq("id", collection_id)
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!collection) return { status: 404, message: "Collection not found" };
+    if (!canViewCollection(collection, userId)) {
+      return { status: 403, message: "Access denied" };
+    }
+
+    return {
+      requests: (collection.collection_recipes || []).map((r) => ({ id: r.recipe_id })),
+    };
+  }
+
+  const requests = Array.isArray(recipes)
+    ? recipes.map((r) => (typeof r === "object" ? r : { id: r }))
+    : Array.isArray(recipe_ids)
+      ? recipe_ids.map((id) => ({ id }))
+      : [];
+
+  if (requests.length === 0 || requests.some((r) => !r?.id)) {
+    return { status: 400, message: "recipes, recipe_ids or collection_id is required" };
+  }
+
+  for (const request of requests) {
+    if (request.servings !== undefined) {
+      const servings = Number.parseInt(request.servings);
+      if (Number.isNaN(servings) || servings < 1) {
+        return { status: 400, message: "servings must be a positive integer" };
+      }
+      request.servings = servings;
+    }
+  }
+
+  return { requests };
+};
+
+/**
+ * Collect the ingredients of the requested recipes, scaled to their servings
+ * Recipes the user cannot see are skipped the same way getCollection does
+ */
+const collectIngredients = async (client, userId, requests, includeOptional) => {
+  const ids = [...new Set(requests.map((r) => r.id))];
+  if (ids.length === 0) return { ingredients: [], recipeIds: [] };
+
+  const { data, error } = await client
+    .from("recipes")
+    .select(`${RECIPE_ACCESS_FIELDS}, servings, ingredients(name, quantity, amount, unit, note, optional, order)`)
+    .in("id", ids);
+
+  if (error) throw error;
+
+  const visible = new Map(
+    data.filter((r) => canViewRecipe(r, userId)).map((r) => [r.id, r])
+  );
+
+  const ingredients = [];
+  for (const request of requests) {
+    const recipe = visible.get(request.id);
+    if (!recipe) continue;
+
+    const factor =
+      request.servings && recipe.servings ? request.servings / recipe.servings : 1;
+
+    for (const ingredient of recipe.ingredients || []) {
+      if (ingredient.optional && !includeOptional) continue;
+      const described = describeIngredient(ingredient);
+      ingredients.push({
+        ...described,
+        amount: described.amount === null ? null : described.amount * factor,
+        recipe_id: recipe.id,
+      });
+    }
+  }
+
+  return { ingredients, recipeIds: [...visible.keys()] };
+};
+
+/**
+ * Insert a shopping list with the merged ingredients and return it with its items
+ * The list and its items are written by the create_shopping_list database
+ * function in one transaction
+ */
+const saveShoppingList = async (client, name, ingredients) => {
+  const items = mergeIngredients(ingredients).map((item, index) => ({
+    ...item,
+    checked: false,
+    is_manual: false,
+    position: index + 1,
+  }));
+
+  const { data: listId, error } = await client.rpc("create_shopping_list", {
+    p_name:
+      typeof name === "string" && name.trim()
+        ? name.trim()
+        : `Shopping list ${new Date().toISOString().slice(0, 10)}`,
+    p_items: items,
+  });
+
+  if (error) throw error;
+
+  return fetchListWithItems(client, listId);
+};
+
+/**
+ * Create a shopping list for the user from recipe requests ({ id, servings })
+ * Used by the meal planner to build a list for a date range
+ */
+export const buildShoppingList = async (client, userId, requests, { name, includeOptional = false } = {}) => {
+  const { ingredients } = await collectIngredients(client, userId, requests, includeOptional);
+  return saveShoppingList(client, name, ingredients);
+};
+
+// ─── Lists ────────────────────────────────────────────────────────────────────
+
+export const getMyShoppingLists = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+
+    const { data, error } = await client
+      .from("shopping_lists")
+      .select(`${LIST_FIELDS}, shopping_list_items(checked)`)
+      .eq("user_id", req.userId)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+
+    const lists = data.map(({ shopping_list_items, ...rest }) => ({
+      ...rest,
+      item_count: shopping_list_items?.length ?? 0,
+      checked_count: (shopping_list_items || []).filter((item) => item.checked).length,
+    }));
+
+    return res.status(200).json(formatSuccess(lists, "Shopping lists retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching shopping lists:", error);
+    next(error);
+  }
+};
+
+export const createShoppingList = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const { name, include_optional = false } = req.body;
+
+    const resolved = await resolveRecipeRequests(client, req.userId, req.body);
+    if (resolved.status) {
+      return res.status(resolved.status).json(formatError(resolved.message, resolved.status));
+    }
+
+    const { ingredients, recipeIds } = await collectIngredients(
+      client,
+      req.userId,
+      resolved.requests,
+      Boolean(include_optional)
+    );
+
+    if (!req.body.collection_id && recipeIds.length === 0) {
+      return res.status(404).json(formatError("Recipe not found", 404));
+    }
+
+    const completeList = await saveShoppingList(client, name, ingredients);
+
+    return res.status(201).json(formatSuccess(completeList, "Shopping list created successfully", 201));
+  } catch (error) {
+    console.error("Error creating shopping list:", error);
+    next(error);
+  }
+};
+
+export const getShoppingList = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const owned = await fetchOwnedList(client, id, req.userId);
+    if (owned.status) {
+      return res.status(owned.status).json(formatError(owned.message, owned.status));
+    }
+
+    const list = await fetchListWithItems(client, id);
+
+    return res.status(200).json(formatSuccess(list, "Shopping list retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching shopping list:", error);
+    next(error);
+  }
+};
+
+export const updateShoppingList = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+    const { name } = req.body;
+
+    const owned = await fetchOwnedList(client, id, req.userId);
+    if (owned.status) {
+      return res.status(owned.status).json(formatError(owned.message, owned.status));
+    }
+
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json(formatError("Name is required", 400));
+    }
+
+    const { error } = await client
+      .from("shopping_lists")
+      .update({ name: name.trim(), updated_at: new Date().toISOString() })
+      .eq("id", id);
+
+    if (error) throw error;
+
+    const list = await fetchListWithItems(client, id);
+
+    return res.status(200).json(formatSuccess(list, "Shopping list updated successfully"));
+  } catch (error) {
+    console.error("Error updating shopping list:", error);
+    next(error);
+  }
+};
+
+export const deleteShoppingList = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const owned = await fetchOwnedList(client, id, req.userId);
+    if (owned.status) {
+      return res.status(owned.status).json(formatError(owned.message, owned.status));
+    }
+
+    const { error } = await client.from("shopping_lists").delete().eq("id", id);
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(null, "Shopping list deleted successfully"));
+  } catch (error) {
+    console.error("Error deleting shopping list:", error);
+    next(error);
+  }
+};
+
+// ─── Items ────────────────────────────────────────────────────────────────────
+
+export const addShoppingListItem = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const client = getAuthenticatedClient(req.token);
+    const { name } = req.body;
+
+    const owned = await fetchOwnedList(client, id, req.userId);
+    if (owned.status) {
+      return res.status(owned.status).json(formatError(owned.message, owned.status));
+    }
+
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json(formatError("Name is required", 400));
+    }
+
+    const { amount, unit, note, error: quantityError } = parseIngredientInput(req.body);
+    if (quantityError) {
+      return res.status(400).json(formatError(quantityError, 400));
+    }
+
+    const { data: last } = await client
+      .from("shopping_list_items")
+      .select("position")
+      .eq("list_id", id)
+      .order("position", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const { data, error } = await client
+      .from("shopping_list_items")
+      .insert({
+        list_id: id,
+        name: name.trim(),
+        amount,
+        unit,
+        note,
+        checked: false,
+        is_manual: true,
+        recipe_ids: [],
+        position: (last?.position || 0) + 1,
+      })
+      .select(ITEM_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    return res.status(201).json(formatSuccess(describeShoppingItem(data), "Item added to shopping list", 201));
+  } catch (error) {
+    console.error("Error adding shopping list item:", error);
+    next(error);
+  }
+};
+
+export const updateShoppingListItem = async (req, res, next) => {
+  try {
+    const { id, itemId } = req.params;
+    const client = getAuthenticatedClient(req.token);
+    const { name, checked } = req.body;
+
+    const owned = await fetchOwnedList(client, id, req.userId);
+    if (owned.status) {
+      return res.status(owned.status).json(formatError(owned.message, owned.status));
+    }
+
+    const updatedData = {};
+    if (name !== undefined) {
+      if (typeof name !== "string" || !name.trim()) {
+        return res.status(400).json(formatError("Name cannot be empty", 400));
+      }
+      updatedData.name = name.trim();
+    }
+    if (checked !== undefined) updatedData.checked = Boolean(checked);
+
+    const { amount, unit, note, quantity } = req.body;
+    if ([amount, unit, note, quantity].some((value) => value !== undefined)) {
+      const parsed = parseIngredientInput(req.body);
+      if (parsed.error) {
+        return res.status(400).json(formatError(parsed.error, 400));
+      }
+      // Only the fields sent change; a free-text quantity sets all three
+      for (const field of ["amount", "unit", "note"]) {
+        if (quantity !== undefined || req.body[field] !== undefined) {
+          updatedData[field] = parsed[field];
+        }
+      }
+    }
+
+    if (Object.keys(updatedData).length === 0) {
+      return res.status(400).json(formatError("No valid fields to update", 400));
+    }
+
+    const { data, error } = await client
+      .from("shopping_list_items")
+      .update(updatedData)
+      .eq("id", itemId)
+      .eq("list_id", id)
+      .select(ITEM_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json(formatError("Item not found", 404));
+    }
+
+    return res.status(200).json(formatSuccess(describeShoppingItem(data), "Item updated successfully"));
+  } catch (error) {
+    console.error("Error updating shopping list item:", error);
+    next(error);
+  }
+};
+
+export const deleteShoppingListItem = async (req, res, next) => {
+  try {
+    const { id, itemId } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const owned = await fetchOwnedList(client, id, req.userId);
+    if (owned.status) {
+      return res.status(owned.status).json(formatError(owned.message, owned.status));
+    }
+
+    const { error } = await client
+      .from("shopping_list_items")
+      .delete()
+      .eq("id", itemId)
+      .eq("list_id", id);
+
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(null, "Item removed from shopping list"));
+  } catch (error) {
+    console.error("Error removing shopping list item:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,382 @@
+import { supabaseAdmin } from "../config/db.js";
+import {
+  formatSuccess,
+  formatError,
+} from "../utils/responseFormatter.js";
+
+const DEFAULT_LANGUAGES = ["en", "es"];
+const TAG_FIELDS = "id, name, color";
+const TRANSLATION_FIELDS = "language_code, name";
+const MAX_NAME_LENGTH = 40;
+const COLOR_REGEX = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Languages every tag should be translated into (SUPPORTED_LANGUAGES, comma separated)
+ */
+const getSupportedLanguages = () => {
+  const languages = (process.env.SUPPORTED_LANGUAGES || "")
+    .split(",")
+    .map((code) => code.trim().toLowerCase())
+    .filter(Boolean);
+  return languages.length > 0 ? languages : DEFAULT_LANGUAGES;
+};
+
+const validateName = (name) => {
+  if (typeof name !== "string" || name.trim().length < 1 || name.trim().length > MAX_NAME_LENGTH) {
+    return `name must be between 1 and ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+};
+
+const validateColor = (color) =>
+  typeof color === "string" && COLOR_REGEX.test(color)
+    ? null
+    : "color must be a hex color such as #ff8800";
+
+const validateLanguage = (lang) => {
+  const languages = getSupportedLanguages();
+  return languages.includes(lang)
+    ? null
+    : `language must be one of: ${languages.join(", ")}`;
+};
+
+const fetchTag = async (id) => {
+  const { data, error } = await supabaseAdmin
+    .from("tags")
+    .select(TAG_FIELDS)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Check whether another tag already uses a name (case-insensitive)
+ * Backed by the unique index on lower(name); callers still handle the
+ * unique violation when two requests race
+ */
+const isNameTaken = async (name, excludeId) => {
+  let query = supabaseAdmin
+    .from("tags")
+    .select("id")
+    .ilike("name", name.replace(/[\\%_]/g, "\\$&"));
+
+  if (excludeId) query = query.neq("id", excludeId);
+
+  const { data, error } = await query.limit(1);
+  if (error) throw error;
+  return data.length > 0;
+};
+
+// ─── Tags ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Create a tag, optionally with its translations, in one transaction
+ * through the create_tag database function
+ * @param {string} req.body.name - Tag name
+ * @param {string} req.body.color - Hex color
+ * @param {Object} req.body.translations - Names by language code (optional)
+ */
+export const createTag = async (req, res, next) => {
+  try {
+    const { name, color, translations = {} } = req.body || {};
+
+    const invalid =
+      validateName(name) ||
+      validateColor(color) ||
+      (typeof translations !== "object" || Array.isArray(translations)
+        ? "translations must be an object keyed by language code"
+        : null) ||
+      Object.entries(translations)
+        .map(([lang, value]) => validateLanguage(lang) || validateName(value))
+        .find(Boolean);
+
+    if (invalid) {
+      return res.status(400).json(formatError(invalid, 400));
+    }
+    if (await isNameTaken(name.trim())) {
+      return res.status(409).json(formatError("A tag with this name already exists", 409));
+    }
+
+    const names = Object.fromEntries(
+      Object.entries(translations).map(([lang, value]) => [lang, value.trim()])
+    );
+
+    const { data: tag, error } = await supabaseAdmin
+      .rpc("create_tag", { p_name: name.trim(), p_color: color, p_translations: names })
+      .select(TAG_FIELDS)
+      .single();
+
+    if (error?.code === "23505") {
+      return res.status(409).json(formatError("A tag with this name already exists", 409));
+    }
+    if (error) throw error;
+
+    return res.status(201).json(formatSuccess(
+      {
+        ...tag,
+        translations: Object.entries(names).map(([language_code, value]) => ({ language_code, name: value })),
+      },
+      "Tag created successfully",
+      201
+    ));
+  } catch (error) {
+    console.error("Error creating tag:", error);
+    next(error);
+  }
+};
+
+/**
+ * Rename and/or recolor a tag
+ */
+export const updateTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, color } = req.body || {};
+    const updatedData = {};
+
+    if (name !== undefined) {
+      const invalid = validateName(name);
+      if (invalid) {
+        return res.status(400).json(formatError(invalid, 400));
+      }
+      if (await isNameTaken(name.trim(), id)) {
+        return res.status(409).json(formatError("A tag with this name already exists", 409));
+      }
+      updatedData.name = name.trim();
+    }
+
+    if (color !== undefined) {
+      const invalid = validateColor(color);
+      if (invalid) {
+        return res.status(400).json(formatError(invalid, 400));
+      }
+      updatedData.color = color;
+    }
+
+    if (Object.keys(updatedData).length === 0) {
+      return res.status(400).json(formatError("No valid fields to update", 400));
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("tags")
+      .update(updatedData)
+      .eq("id", id)
+      .select(TAG_FIELDS)
+      .maybeSingle();
+
+    if (error?.code === "23505") {
+      return res.status(409).json(formatError("A tag with this name already exists", 409));
+    }
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json(formatError("Tag not found", 404));
+    }
+
+    return res.status(200).json(formatSuccess(data, "Tag updated successfully"));
+  } catch (error) {
+    console.error("Error updating tag:", error);
+    next(error);
+  }
+};
+
+/**
+ * Merge a tag into another one
+ * Recipes tagged with the source get the target tag instead, translations the
+ * target lacks are carried over, and the source tag is deleted
+ * @param {string} req.body.into - Id of the tag to keep
+ */
+export const mergeTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { into } = req.body || {};
+
+    if (!into) {
+      return res.status(400).json(formatError("into is required", 400));
+    }
+    if (String(into) === String(id)) {
+      return res.status(400).json(formatError("A tag cannot be merged into itself", 400));
+    }
+
+    const [source, target] = await Promise.all([fetchTag(id), fetchTag(into)]);
+    if (!source) {
+      return res.status(404).json(formatError("Tag not found", 404));
+    }
+    if (!target) {
+      return res.status(404).json(formatError("Target tag not found", 404));
+    }
+
+    const { error } = await supabaseAdmin.rpc("merge_tags", {
+      p_source_id: source.id,
+      p_target_id: target.id,
+    });
+
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(target, `Tag "${source.name}" merged into "${target.name}"`));
+  } catch (error) {
+    console.error("Error merging tag:", error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a tag, removing it from every recipe along with its translations,
+ * in one transaction through the delete_tag database function
+ */
+export const deleteTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const tag = await fetchTag(id);
+    if (!tag) {
+      return res.status(404).json(formatError("Tag not found", 404));
+    }
+
+    const { error } = await supabaseAdmin.rpc("delete_tag", { p_tag_id: tag.id });
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(null, "Tag deleted successfully"));
+  } catch (error) {
+    console.error("Error deleting tag:", error);
+    next(error);
+  }
+};
+
+// ─── Translations ─────────────────────────────────────────────────────────────
+
+export const getTagTranslations = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const tag = await fetchTag(id);
+    if (!tag) {
+      return res.status(404).json(formatError("Tag not found", 404));
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("tag_translations")
+      .select(TRANSLATION_FIELDS)
+      .eq("tag_id", id)
+      .order("language_code", { ascending: true });
+
+    if (error) throw error;
+
+    const translated = new Set(data.map((translation) => translation.language_code));
+    const missing = getSupportedLanguages().filter((lang) => !translated.has(lang));
+
+    return res
+      .status(200)
+      .json(formatSuccess({ ...tag, translations: data, missing_languages: missing }, "Tag translations retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching tag translations:", error);
+    next(error);
+  }
+};
+
+/**
+ * Create or replace the translation of a tag in one language
+ * @param {string} req.params.lang - Supported language code
+ * @param {string} req.body.name - Translated name
+ */
+export const upsertTagTranslation = async (req, res, next) => {
+  try {
+    const { id, lang } = req.params;
+    const { name } = req.body || {};
+
+    const invalid = validateLanguage(lang) || validateName(name);
+    if (invalid) {
+      return res.status(400).json(formatError(invalid, 400));
+    }
+
+    if (!(await fetchTag(id))) {
+      return res.status(404).json(formatError("Tag not found", 404));
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("tag_translations")
+      .upsert(
+        { tag_id: id, language_code: lang, name: name.trim() },
+        { onConflict: "tag_id,language_code" }
+      )
+      .select(TRANSLATION_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(data, "Tag translation saved successfully"));
+  } catch (error) {
+    console.error("Error saving tag translation:", error);
+    next(error);
+  }
+};
+
+export const deleteTagTranslation = async (req, res, next) => {
+  try {
+    const { id, lang } = req.params;
+
+    const { data, error } = await supabaseAdmin
+      .from("tag_translations")
+      .delete()
+      .eq("tag_id", id)
+      .eq("language_code", lang)
+      .select("language_code");
+
+    if (error) throw error;
+    if (data.length === 0) {
+      return res.status(404).json(formatError("Translation not found", 404));
+    }
+
+    return res.status(200).json(formatSuccess(null, "Tag translation deleted successfully"));
+  } catch (error) {
+    console.error("Error deleting tag translation:", error);
+    next(error);
+  }
+};
+
+/**
+ * Report the tags missing a translation, per supported language
+ * @param {string} req.query.lang - Only report this language (optional)
+ */
+export const getMissingTranslations = async (req, res, next) => {
+  try {
+    const { lang } = req.query;
+
+    if (lang) {
+      const invalid = validateLanguage(lang);
+      if (invalid) {
+        return res.status(400).json(formatError(invalid, 400));
+      }
+    }
+
+    const languages = lang ? [lang] : getSupportedLanguages();
+
+    const [tagsResult, translationsResult] = await Promise.all([
+      supabaseAdmin.from("tags").select(TAG_FIELDS).order("name", { ascending: true }),
+      supabaseAdmin.from("tag_translations").select("tag_id, language_code").in("language_code", languages),
+    ]);
+
+    if (tagsResult.error) throw tagsResult.error;
+    if (translationsResult.error) throw translationsResult.error;
+
+    const translated = new Set(
+      translationsResult.data.map((row) => `${row.tag_id}:${row.language_code}`)
+    );
+
+    const report = languages.map((code) => {
+      const missing = tagsResult.data.filter((tag) => !translated.has(`${tag.id}:${code}`));
+      return { language_code: code, missing_count: missing.length, tags: missing };
+    });
+
+    return res.status(200).json(formatSuccess(
+      { total_tags: tagsResult.data.length, languages: report },
+      "Missing translations retrieved successfully"
+    ));
+  } catch (error) {
+    console.error("Error fetching missing translations:", error);
+    next(error);
+  }
+};
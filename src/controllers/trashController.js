@@ -0,0 +1,95 @@
+import { getAuthenticatedClient, supabaseAdmin } from "../config/db.js";
+import { formatSuccess } from "../utils/responseFormatter.js";
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Days trashed items are kept before being purged (TRASH_RETENTION_DAYS)
+ */
+const getRetentionDays = () => {
+  const days = Number.parseInt(process.env.TRASH_RETENTION_DAYS);
+  return Number.isNaN(days) || days < 1 ? DEFAULT_RETENTION_DAYS : days;
+};
+
+const withPurgeDate = (item, retentionDays) => ({
+  ...item,
+  purge_at: new Date(Date.parse(item.deleted_at) + retentionDays * DAY_MS).toISOString(),
+});
+
+// ─── Trash ────────────────────────────────────────────────────────────────────
+
+export const getMyTrash = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+    const retentionDays = getRetentionDays();
+
+    const [recipesResult, collectionsResult] = await Promise.all([
+      client
+        .from("recipes")
+        .select("id, name, main_image_url, is_public, status, deleted_at")
+        .eq("user_id", req.userId)
+        .not("deleted_at", "is", null)
+        .order("deleted_at", { ascending: false }),
+      client
+        .from("collections")
+        .select("id, name, cover_image_url, is_public, deleted_at, collection_recipes(count)")
+        .eq("user_id", req.userId)
+        .not("deleted_at", "is", null)
+        .order("deleted_at", { ascending: false }),
+    ]);
+
+    if (recipesResult.error) throw recipesResult.error;
+    if (collectionsResult.error) throw collectionsResult.error;
+
+    const recipes = recipesResult.data.map((recipe) => withPurgeDate(recipe, retentionDays));
+    const collections = collectionsResult.data.map(({ collection_recipes, ...rest }) =>
+      withPurgeDate({ ...rest, recipe_count: collection_recipes?.[0]?.count ?? 0 }, retentionDays)
+    );
+
+    return res.status(200).json(
+      formatSuccess(
+        { retention_days: retentionDays, recipes, collections },
+        "Trash retrieved successfully"
+      )
+    );
+  } catch (error) {
+    console.error("Error fetching trash:", error);
+    next(error);
+  }
+};
+
+/**
+ * Permanently delete everything trashed longer than the retention period
+ * Run by the scheduled job; CASCADE removes the related rows
+ */
+export const purgeTrash = async (req, res, next) => {
+  try {
+    const retentionDays = getRetentionDays();
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+
+    const [recipesResult, collectionsResult] = await Promise.all([
+      supabaseAdmin.from("recipes").delete().lt("deleted_at", cutoff).select("id"),
+      supabaseAdmin.from("collections").delete().lt("deleted_at", cutoff).select("id"),
+    ]);
+
+    if (recipesResult.error) throw recipesResult.error;
+    if (collectionsResult.error) throw collectionsResult.error;
+
+    return res.status(200).json(
+      formatSuccess(
+        {
+          retention_days: retentionDays,
+          recipes_purged: recipesResult.data.length,
+          collections_purged: collectionsResult.data.length,
+        },
+        "Trash purged successfully"
+      )
+    );
+  } catch (error) {
+    console.error("Error purging trash:", error);
+    next(error);
+  }
+};
@@ -1,9 +1,17 @@
-import supabase, { getAuthenticatedClient, supabaseAdmin } from "../config/db.js";
+import supabase, { getAuthenticatedClient, getResourceClient, supabaseAdmin } from "../config/db.js";
 import {
   formatSuccess,
   formatError,
   formatPagination,
 } from "../utils/responseFormatter.js";
+import { UNIT_SYSTEMS } from "../utils/units.js";
+import { notify } from "../utils/notifications.js";
+import { fetchRatingStats } from "../utils/ratings.js";
+import {
+  RECIPE_STATUSES,
+  publishedRecipesFilter,
+} from "../utils/recipeAccess.js";
+import { hasBlocked, checkUserContentAccess } from "../utils/userAccess.js";
 
 // ─── Profile ──────────────────────────────────────────────────────────────────
 
@@ -14,7 +22,7 @@ export const getUserProfile = async (req, res, next) => {
 
     const { data: user, error } = await client
       .from("users")
-      .select("id, name, username, avatar_url, location, bio")
+      .select("id, name, username, avatar_url, location, bio, is_private")
       .eq("id", id)
       .single();
 
@@ -31,9 +39,10 @@ export const getUserProfile = async (req, res, next) => {
           .from("recipes")
           .select("*", { count: "exact", head: true })
           .eq("user_id", id)
-          .eq("is_public", true),
+          .is("deleted_at", null)
+          .or(publishedRecipesFilter()),
         isOwner
-          ? client.from("recipes").select("*", { count: "exact", head: true }).eq("user_id", id)
+          ? client.from("recipes").select("*", { count: "exact", head: true }).eq("user_id", id).is("deleted_at", null)
           : Promise.resolve({ count: null }),
         client
           .from("user_followers")
@@ -70,7 +79,7 @@ export const getUserProfileByUsername = async (req, res, next) => {
 
     const { data: user, error } = await client
       .from("users")
-      .select("id, name, username, avatar_url, location, bio")
+      .select("id, name, username, avatar_url, location, bio, is_private")
       .eq("username", username.toLowerCase())
       .single();
 
@@ -83,9 +92,9 @@ export const getUserProfileByUsername = async (req, res, next) => {
 
     const [{ count: publicRecipeCount }, { count: totalRecipeCount }, { count: followersCount }, { count: followingCount }] =
       await Promise.all([
-        client.from("recipes").select("*", { count: "exact", head: true }).eq("user_id", user.id).eq("is_public", true),
+        client.from("recipes").select("*", { count: "exact", head: true }).eq("user_id", user.id).is("deleted_at", null).or(publishedRecipesFilter()),
         isOwner
-          ? client.from("recipes").select("*", { count: "exact", head: true }).eq("user_id", user.id)
+          ? client.from("recipes").select("*", { count: "exact", head: true }).eq("user_id", user.id).is("deleted_at", null)
           : Promise.resolve({ count: null }),
         client.from("user_followers").select("*", { count: "exact", head: true }).eq("following_id", user.id),
         client.from("user_followers").select("*", { count: "exact", head: true }).eq("follower_id", user.id),
@@ -112,7 +121,7 @@ export const getUserProfileByUsername = async (req, res, next) => {
 export const updateMyProfile = async (req, res, next) => {
   try {
     const client = getAuthenticatedClient(req.token);
-    const { name, username, avatar_url, location, bio } = req.body;
+    const { name, username, avatar_url, location, bio, unit_system, is_private } = req.body;
     const updatedData = {};
 
     if (name !== undefined) updatedData.name = name.trim();
@@ -121,6 +130,17 @@ export const updateMyProfile = async (req, res, next) => {
     if (location !== undefined) updatedData.location = location;
     if (bio !== undefined) updatedData.bio = bio;
 
+    if (unit_system !== undefined) {
+      if (unit_system !== null && !UNIT_SYSTEMS.includes(unit_system)) {
+        return res
+          .status(400)
+          .json(formatError(`unit_system must be one of: ${UNIT_SYSTEMS.join(", ")}`, 400));
+      }
+      updatedData.unit_system = unit_system;
+    }
+
+    if (is_private !== undefined) updatedData.is_private = Boolean(is_private);
+
     if (Object.keys(updatedData).length === 0) {
       return res.status(400).json(formatError("No valid fields to update", 400));
     }
@@ -129,7 +149,7 @@ export const updateMyProfile = async (req, res, next) => {
       .from("users")
       .update(updatedData)
       .eq("id", req.userId)
-      .select("id, name, username, avatar_url, location, bio")
+      .select("id, name, username, avatar_url, location, bio, unit_system, is_private")
       .single();
 
     if (error) throw error;
@@ -159,20 +179,33 @@ export const getUserRecipes = async (req, res, next) => {
 
     const isOwner = req.userId === id;
 
+    const denied = await checkUserContentAccess(client, id, req.userId);
+    if (denied) {
+      return res.status(denied.status).json(formatError(denied.message, denied.status));
+    }
+
     let query = client
       .from("recipes")
       .select(
         `id, name, description, prep_time, servings, difficulty, calories,
-         main_image_url, is_public, created_at,
+         main_image_url, is_public, status, publish_at, created_at,
          recipe_tags(tag_id, tags(id, name, color))`,
         { count: "exact" }
       )
       .eq("user_id", id)
+      .is("deleted_at", null)
       .range(start, end)
       .order("created_at", { ascending: false });
 
     if (!isOwner) {
-      query = query.eq("is_public", true);
+      query = query.or(publishedRecipesFilter());
+    } else if (req.query.status) {
+      if (!RECIPE_STATUSES.includes(req.query.status)) {
+        return res
+          .status(400)
+          .json(formatError(`status must be one of: ${RECIPE_STATUSES.join(", ")}`, 400));
+      }
+      query = query.eq("status", req.query.status);
     }
 
     const { data, error, count } = await query;
@@ -185,6 +218,7 @@ export const getUserRecipes = async (req, res, next) => {
         .from("collection_recipes")
         .select("recipe_id, collections!inner(user_id)")
         .eq("collections.user_id", req.userId)
+        .is("collections.deleted_at", null)
         .in("recipe_id", recipeIds);
 
       if (bookmarks) {
@@ -192,7 +226,13 @@ export const getUserRecipes = async (req, res, next) => {
       }
     }
 
-    const recipes = data.map((r) => ({ ...r, is_bookmarked: bookmarkedIds.has(r.id) }));
+    const ratingStats = await fetchRatingStats(client, data.map((r) => r.id));
+
+    const recipes = data.map((r) => ({
+      ...r,
+      ...ratingStats.get(r.id),
+      is_bookmarked: bookmarkedIds.has(r.id),
+    }));
 
     return res.status(200).json(
       formatPagination(recipes, count, page, limit, "User recipes retrieved successfully")
@@ -214,17 +254,23 @@ export const getUserCollections = async (req, res, next) => {
 
     const isOwner = req.userId === id;
 
+    const denied = await checkUserContentAccess(client, id, req.userId);
+    if (denied) {
+      return res.status(denied.status).json(formatError(denied.message, denied.status));
+    }
+
     let query = client
       .from("collections")
       .select("id, name, description, cover_image_url, is_public, is_default, created_at, collection_recipes(count)", {
         count: "exact",
       })
       .eq("user_id", id)
+      .is("deleted_at", null)
       .range(start, end)
       .order("created_at", { ascending: false });
 
     if (!isOwner) {
-      query = query.eq("is_public", true);
+      query = query.eq("is_public", true).is("hidden_at", null);
     }
 
     const { data, error, count } = await query;
@@ -237,7 +283,8 @@ export const getUserCollections = async (req, res, next) => {
         .from("collection_recipes")
         .select("collection_id, recipes!inner(is_public)")
         .in("collection_id", collectionIds)
-        .eq("recipes.is_public", true);
+        .eq("recipes.is_public", true)
+        .is("recipes.deleted_at", null);
 
       if (publicRows) {
         for (const row of publicRows) {
@@ -275,7 +322,7 @@ export const followUser = async (req, res, next) => {
 
     const { data: target, error: userError } = await client
       .from("users")
-      .select("id")
+      .select("id, is_private")
       .eq("id", id)
       .single();
 
@@ -294,12 +341,44 @@ export const followUser = async (req, res, next) => {
       return res.status(409).json(formatError("Already following this user", 409));
     }
 
+    if ((await hasBlocked(id, followerId)) || (await hasBlocked(followerId, id))) {
+      return res.status(403).json(formatError("You cannot follow this user", 403));
+    }
+
+    // Private accounts approve their followers
+    if (target.is_private) {
+      const { data: pending } = await client
+        .from("follow_requests")
+        .select("requester_id")
+        .eq("requester_id", followerId)
+        .eq("target_id", id)
+        .maybeSingle();
+
+      if (pending) {
+        return res.status(409).json(formatError("Follow request already sent", 409));
+      }
+
+      const { error: requestError } = await client
+        .from("follow_requests")
+        .insert({ requester_id: followerId, target_id: id });
+
+      if (requestError) throw requestError;
+
+      await notify({ userId: id, actorId: followerId, type: "follow_request" });
+
+      return res
+        .status(202)
+        .json(formatSuccess({ status: "requested" }, "Follow request sent", 202));
+    }
+
     const { error } = await client
       .from("user_followers")
       .insert({ follower_id: followerId, following_id: id });
 
     if (error) throw error;
 
+    await notify({ userId: id, actorId: followerId, type: "follow" });
+
     return res.status(201).json(formatSuccess(null, "User followed successfully", 201));
   } catch (error) {
     console.error("Error following user:", error);
@@ -320,6 +399,15 @@ export const unfollowUser = async (req, res, next) => {
 
     if (error) throw error;
 
+    // Also withdraws a pending request to a private account
+    const { error: requestError } = await client
+      .from("follow_requests")
+      .delete()
+      .eq("requester_id", req.userId)
+      .eq("target_id", id);
+
+    if (requestError) throw requestError;
+
     return res.status(200).json(formatSuccess(null, "User unfollowed successfully"));
   } catch (error) {
     console.error("Error unfollowing user:", error);
@@ -332,6 +420,11 @@ export const getFollowers = async (req, res, next) => {
     const { id } = req.params;
     const client = req.token ? getAuthenticatedClient(req.token) : supabase;
 
+    const denied = await checkUserContentAccess(client, id, req.userId);
+    if (denied) {
+      return res.status(denied.status).json(formatError(denied.message, denied.status));
+    }
+
     const { data, error } = await client
       .from("user_followers")
       .select("follower:users!follower_id(id, name, username, avatar_url)")
@@ -353,6 +446,11 @@ export const getFollowing = async (req, res, next) => {
     const { id } = req.params;
     const client = req.token ? getAuthenticatedClient(req.token) : supabase;
 
+    const denied = await checkUserContentAccess(client, id, req.userId);
+    if (denied) {
+      return res.status(denied.status).json(formatError(denied.message, denied.status));
+    }
+
     const { data, error } = await client
       .from("user_followers")
       .select("following:users!following_id(id, name, username, avatar_url)")
@@ -369,6 +467,93 @@ export const getFollowing = async (req, res, next) => {
   }
 };
 
+// ─── Follow requests ──────────────────────────────────────────────────────────
+
+export const getMyFollowRequests = async (req, res, next) => {
+  try {
+    const client = getAuthenticatedClient(req.token);
+
+    const { data, error } = await client
+      .from("follow_requests")
+      .select("created_at, requester:users!requester_id(id, name, username, avatar_url)")
+      .eq("target_id", req.userId)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(data, "Follow requests retrieved successfully"));
+  } catch (error) {
+    console.error("Error fetching follow requests:", error);
+    next(error);
+  }
+};
+
+export const acceptFollowRequest = async (req, res, next) => {
+  try {
+    const { requesterId } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const { data: request, error: fetchError } = await client
+      .from("follow_requests")
+      .select("requester_id")
+      .eq("requester_id", requesterId)
+      .eq("target_id", req.userId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!request) {
+      return res.status(404).json(formatError("Follow request not found", 404));
+    }
+
+    // The follow row belongs to the requester, so it is written with the admin client
+    const { error: followError } = await supabaseAdmin
+      .from("user_followers")
+      .upsert(
+        { follower_id: requesterId, following_id: req.userId },
+        { onConflict: "follower_id,following_id", ignoreDuplicates: true }
+      );
+
+    if (followError) throw followError;
+
+    const { error } = await client
+      .from("follow_requests")
+      .delete()
+      .eq("requester_id", requesterId)
+      .eq("target_id", req.userId);
+
+    if (error) throw error;
+
+    return res.status(200).json(formatSuccess(null, "Follow request accepted"));
+  } catch (error) {
+    console.error("Error accepting follow request:", error);
+    next(error);
+  }
+};
+
+export const rejectFollowRequest = async (req, res, next) => {
+  try {
+    const { requesterId } = req.params;
+    const client = getAuthenticatedClient(req.token);
+
+    const { data, error } = await client
+      .from("follow_requests")
+      .delete()
+      .eq("requester_id", requesterId)
+      .eq("target_id", req.userId)
+      .select("requester_id");
+
+    if (error) throw error;
+    if (data.length === 0) {
+      return res.status(404).json(formatError("Follow request not found", 404));
+    }
+
+    return res.status(200).json(formatSuccess(null, "Follow request rejected"));
+  } catch (error) {
+    console.error("Error rejecting follow request:", error);
+    next(error);
+  }
+};
+
 // ─── Account management ───────────────────────────────────────────────────────
 
 const USERNAME_REGEX = /^[a-zA-Z0-9_]{3,30}$/;
@@ -424,10 +609,6 @@ export const updateUserProfile = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    if (req.userId !== id) {
-      return res.status(403).json(formatError("Forbidden", 403));
-    }
-
     const { name, username, location, bio } = req.body;
     const updatedData = {};
 
@@ -480,7 +661,7 @@ export const updateUserProfile = async (req, res, next) => {
       return res.status(400).json(formatError("No valid fields to update", 400));
     }
 
-    const client = getAuthenticatedClient(req.token);
+    const client = getResourceClient(req);
     const { data, error } = await client
       .from("users")
       .update(updatedData)
@@ -501,10 +682,6 @@ export const changePassword = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    if (req.userId !== id) {
-      return res.status(403).json(formatError("Forbidden", 403));
-    }
-
     const { currentPassword, newPassword } = req.body;
 
     if (!currentPassword || !newPassword) {
@@ -552,10 +729,6 @@ export const changeEmail = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    if (req.userId !== id) {
-      return res.status(403).json(formatError("Forbidden", 403));
-    }
-
     const { currentPassword, newEmail } = req.body;
 
     if (!currentPassword || !newEmail) {
@@ -602,11 +775,7 @@ export const deleteAccount = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    if (req.userId !== id) {
-      return res.status(403).json(formatError("Forbidden", 403));
-    }
-
-    const client = getAuthenticatedClient(req.token);
+    const client = getResourceClient(req);
 
     const { error: dbError } = await client.from("users").delete().eq("id", id);
     if (dbError) throw dbError;
@@ -626,14 +795,24 @@ export const isFollowing = async (req, res, next) => {
     const { id } = req.params;
     const client = getAuthenticatedClient(req.token);
 
-    const { data } = await client
-      .from("user_followers")
-      .select("follower_id")
-      .eq("follower_id", req.userId)
-      .eq("following_id", id)
-      .maybeSingle();
-
-    return res.status(200).json(formatSuccess({ isFollowing: !!data }, "OK"));
+    const [{ data }, { data: request }] = await Promise.all([
+      client
+        .from("user_followers")
+        .select("follower_id")
+        .eq("follower_id", req.userId)
+        .eq("following_id", id)
+        .maybeSingle(),
+      client
+        .from("follow_requests")
+        .select("requester_id")
+        .eq("requester_id", req.userId)
+        .eq("target_id", id)
+        .maybeSingle(),
+    ]);
+
+    return res
+      .status(200)
+      .json(formatSuccess({ isFollowing: !!data, isRequested: !!request }, "OK"));
   } catch (error) {
     console.error("Error checking follow status:", error);
     next(error);
@@ -1,4 +1,7 @@
-import supabase from "../config/db.js";
+import supabase, { supabaseAdmin } from "../config/db.js";
+import { formatError } from "../utils/responseFormatter.js";
+import { hasPermission } from "../utils/permissions.js";
+import { isUuid } from "../utils/validation.js";
 
 export const verifyAuth = async (req, res, next) => {
   try {
@@ -64,3 +67,121 @@ export const optionalAuth = async (req, res, next) => {
     next();
   }
 };
+
+// Loads the role of the authenticated user once per request
+const loadUserRole = async (req) => {
+  if (req.userRole) return req.userRole;
+
+  const { data: user, error } = await supabaseAdmin
+    .from("users")
+    .select("role")
+    .eq("id", req.userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  req.userRole = user?.role || "user";
+  return req.userRole;
+};
+
+const forbidden = (res) =>
+  res.status(403).json({
+    error: "Forbidden",
+    message: "You do not have permission to perform this action",
+  });
+
+const authorizationError = (res, error) => {
+  console.error("Authorization error:", error);
+  return res.status(500).json({
+    error: "Authorization error",
+    message: "An error occurred during authorization",
+  });
+};
+
+// Role-based guard, used after verifyAuth (e.g. verifyAuth, requireRole("admin"))
+export const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const role = await loadUserRole(req);
+    if (!roles.includes(role)) return forbidden(res);
+    next();
+  } catch (error) {
+    return authorizationError(res, error);
+  }
+};
+
+// Permission-based guard, used after verifyAuth (see utils/permissions.js)
+export const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const role = await loadUserRole(req);
+    if (!hasPermission(role, permission)) return forbidden(res);
+    next();
+  } catch (error) {
+    return authorizationError(res, error);
+  }
+};
+
+/**
+ * Ownership guard, used after verifyAuth
+ * Loads the row named by a route param and lets its owner through, as well as
+ * users whose role grants `permission`. Sets req.resource, and
+ * req.actingAsAdmin when access comes from the permission rather than ownership
+ * @param {Object} options
+ * @param {string} options.table - Table holding the resource
+ * @param {string} options.notFound - Message when the row does not exist (e.g. "Recipe not found")
+ * @param {string} options.ownerColumn - Column holding the owner id (default user_id)
+ * @param {string} options.param - Route param holding the resource id (default id)
+ * @param {string|null} options.permission - Permission that bypasses ownership (null: owner only)
+ * @param {Function} options.scope - Extra conditions on the lookup query (optional)
+ */
+export const requireOwnership = ({
+  table,
+  notFound = "Resource not found",
+  ownerColumn = "user_id",
+  param = "id",
+  permission = "content:manage",
+  scope = (query) => query,
+}) => async (req, res, next) => {
+  try {
+    // Ids are uuids; anything else cannot match and would fail the cast
+    if (!isUuid(req.params[param])) {
+      return res.status(404).json(formatError(notFound, 404));
+    }
+
+    const { data: resource, error } = await scope(
+      supabaseAdmin.from(table).select("*").eq("id", req.params[param])
+    ).maybeSingle();
+
+    if (error) throw error;
+
+    if (!resource) {
+      return res.status(404).json(formatError(notFound, 404));
+    }
+
+    req.resource = resource;
+
+    if (resource[ownerColumn] === req.userId) return next();
+
+    if (permission && hasPermission(await loadUserRole(req), permission)) {
+      req.actingAsAdmin = true;
+      return next();
+    }
+
+    return res.status(403).json(formatError("Access denied", 403));
+  } catch (error) {
+    return authorizationError(res, error);
+  }
+};
+
+// Scheduled job authentication (Vercel Cron sends the secret as a bearer token)
+export const verifyCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: "Invalid cron secret",
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,54 @@
+import express from "express";
+import { verifyAuth, requirePermission } from "../middleware/auth.js";
+import {
+  getReports,
+  getReport,
+  dismissReport,
+  actOnReport,
+  unhideContent,
+  unsuspendUser,
+  updateUserRole,
+  getModerationLog,
+} from "../controllers/moderationController.js";
+import {
+  createTag,
+  updateTag,
+  mergeTag,
+  deleteTag,
+  getTagTranslations,
+  upsertTagTranslation,
+  deleteTagTranslation,
+  getMissingTranslations,
+} from "../controllers/tagAdminController.js";
+
+const router = express.Router();
+const canModerate = requirePermission("content:moderate");
+const canManageTags = requirePermission("tags:manage");
+
+// ── Moderation queue ──
+router.get("/reports", verifyAuth, canModerate, getReports);
+router.get("/reports/:id", verifyAuth, canModerate, getReport);
+router.post("/reports/:id/dismiss", verifyAuth, canModerate, dismissReport);
+router.post("/reports/:id/action", verifyAuth, canModerate, actOnReport);
+
+// ── Reversals ──
+router.post("/content/:type/:id/unhide", verifyAuth, canModerate, unhideContent);
+router.post("/users/:id/unsuspend", verifyAuth, canModerate, unsuspendUser);
+
+// ── Roles ──
+router.put("/users/:id/role", verifyAuth, requirePermission("users:manage"), updateUserRole);
+
+// ── Tags and translations ──
+router.get("/tags/translations/missing", verifyAuth, canManageTags, getMissingTranslations);
+router.post("/tags", verifyAuth, canManageTags, createTag);
+router.patch("/tags/:id", verifyAuth, canManageTags, updateTag);
+router.post("/tags/:id/merge", verifyAuth, canManageTags, mergeTag);
+router.delete("/tags/:id", verifyAuth, canManageTags, deleteTag);
+router.get("/tags/:id/translations", verifyAuth, canManageTags, getTagTranslations);
+router.put("/tags/:id/translations/:lang", verifyAuth, canManageTags, upsertTagTranslation);
+router.delete("/tags/:id/translations/:lang", verifyAuth, canManageTags, deleteTagTranslation);
+
+// ── Audit trail ──
+router.get("/moderation-log", verifyAuth, canModerate, getModerationLog);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { getCalendarFeed } from "../controllers/calendarController.js";
+
+const router = express.Router();
+
+// Authenticated by the secret token in the URL, not by verifyAuth
+router.get("/:token.ics", getCalendarFeed);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from "express";
-import { verifyAuth, optionalAuth } from "../middleware/auth.js";
+import { verifyAuth, optionalAuth, requireOwnership } from "../middleware/auth.js";
 import {
   createCollection,
   getCollection,
@@ -7,16 +7,30 @@ import {
   deleteCollection,
   addRecipeToCollection,
   removeRecipeFromCollection,
+  restoreCollection,
 } from "../controllers/collectionController.js";
 
 const router = express.Router();
 
+// Owners, and users allowed to manage any content, may change a collection
+const canManageCollection = requireOwnership({
+  table: "collections",
+  notFound: "Collection not found",
+  scope: (query) => query.is("deleted_at", null),
+});
+const canRestoreCollection = requireOwnership({
+  table: "collections",
+  notFound: "Collection not found in trash",
+  scope: (query) => query.not("deleted_at", "is", null),
+});
+
 router.post("/", verifyAuth, createCollection);
 router.get("/:id", optionalAuth, getCollection);
-router.put("/:id", verifyAuth, updateCollection);
-router.patch("/:id", verifyAuth, updateCollection);
-router.delete("/:id", verifyAuth, deleteCollection);
-router.post("/:id/recipes", verifyAuth, addRecipeToCollection);
-router.delete("/:id/recipes/:recipeId", verifyAuth, removeRecipeFromCollection);
+router.put("/:id", verifyAuth, canManageCollection, updateCollection);
+router.patch("/:id", verifyAuth, canManageCollection, updateCollection);
+router.delete("/:id", verifyAuth, canManageCollection, deleteCollection);
+router.post("/:id/restore", verifyAuth, canRestoreCollection, restoreCollection);
+router.post("/:id/recipes", verifyAuth, canManageCollection, addRecipeToCollection);
+router.delete("/:id/recipes/:recipeId", verifyAuth, canManageCollection, removeRecipeFromCollection);
 
 export default router;
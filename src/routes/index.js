@@ -3,6 +3,13 @@ import recipeRoutes from "./recipeRoutes.js";
 import tagRoutes from "./tagRoutes.js";
 import userRoutes from "./userRoutes.js";
 import collectionRoutes from "./collectionRoutes.js";
+import shoppingListRoutes from "./shoppingListRoutes.js";
+import mealPlanRoutes from "./mealPlanRoutes.js";
+import notificationRoutes from "./notificationRoutes.js";
+import calendarRoutes from "./calendarRoutes.js";
+import maintenanceRoutes from "./maintenanceRoutes.js";
+import reportRoutes from "./reportRoutes.js";
+import adminRoutes from "./adminRoutes.js";
 import { notFoundHandler } from "../middleware/errorHandler.js";
 
 const router = express.Router();
@@ -38,12 +45,27 @@ router.use("/recipes", recipeRoutes);
 // Mount tag routes
 router.use("/tags", tagRoutes);
 
+// Mount shopping list, meal plan and notification routes (before /users so "me" is not taken as an id)
+router.use("/users/me/shopping-lists", shoppingListRoutes);
+router.use("/users/me/meal-plan", mealPlanRoutes);
+router.use("/users/me/notifications", notificationRoutes);
+
 // Mount user routes
 router.use("/users", userRoutes);
 
 // Mount collection routes
 router.use("/collections", collectionRoutes);
 
+// Mount calendar feed routes
+router.use("/calendar", calendarRoutes);
+
+// Mount report and admin routes
+router.use("/reports", reportRoutes);
+router.use("/admin", adminRoutes);
+
+// Mount scheduled job routes
+router.use("/maintenance", maintenanceRoutes);
+
 // Handle not found routes - must be at the end
 router.use(notFoundHandler);
 
@@ -0,0 +1,10 @@
+import express from "express";
+import { verifyCronSecret } from "../middleware/auth.js";
+import { purgeTrash } from "../controllers/trashController.js";
+
+const router = express.Router();
+
+// Scheduled jobs (see crons in vercel.json)
+router.get("/purge-trash", verifyCronSecret, purgeTrash);
+
+export default router;
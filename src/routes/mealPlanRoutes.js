@@ -0,0 +1,27 @@
+import express from "express";
+import { verifyAuth } from "../middleware/auth.js";
+import {
+  getMealPlan,
+  addMealPlanEntry,
+  updateMealPlanEntry,
+  copyMealPlanEntry,
+  deleteMealPlanEntry,
+  createMealPlanShoppingList,
+} from "../controllers/mealPlanController.js";
+import {
+  createCalendarToken,
+  revokeCalendarToken,
+} from "../controllers/calendarController.js";
+
+const router = express.Router();
+
+router.get("/", verifyAuth, getMealPlan);
+router.post("/", verifyAuth, addMealPlanEntry);
+router.post("/shopping-list", verifyAuth, createMealPlanShoppingList);
+router.post("/calendar-token", verifyAuth, createCalendarToken);
+router.delete("/calendar-token", verifyAuth, revokeCalendarToken);
+router.patch("/:entryId", verifyAuth, updateMealPlanEntry);
+router.post("/:entryId/copy", verifyAuth, copyMealPlanEntry);
+router.delete("/:entryId", verifyAuth, deleteMealPlanEntry);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from "express";
+import { verifyAuth } from "../middleware/auth.js";
+import {
+  getMyNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from "../controllers/notificationController.js";
+
+const router = express.Router();
+
+router.get("/", verifyAuth, getMyNotifications);
+router.get("/unread-count", verifyAuth, getUnreadNotificationCount);
+router.post("/read-all", verifyAuth, markAllNotificationsRead);
+router.get("/preferences", verifyAuth, getNotificationPreferences);
+router.put("/preferences", verifyAuth, updateNotificationPreferences);
+router.post("/:id/read", verifyAuth, markNotificationRead);
+
+export default router;
@@ -2,29 +2,98 @@ import express from "express";
 import {
   getAllRecipes,
   getRecipeById,
+  matchRecipes,
   createRecipe,
+  importRecipe,
   updateRecipe,
   deleteRecipe,
+  restoreRecipe,
+  exportRecipe,
+  getRecipeRevisions,
+  getRecipeRevision,
+  diffRecipeRevisions,
+  restoreRecipeRevision,
+  forkRecipe,
+  getRecipeForks,
 } from "../controllers/recipeController.js";
 import {
   favoriteRecipe,
   unfavoriteRecipe,
   isRecipeFavorited,
 } from "../controllers/favoriteController.js";
-import { verifyAuth, optionalAuth } from "../middleware/auth.js";
+import {
+  getRecipeReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+} from "../controllers/reviewController.js";
+import {
+  getRecipeComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} from "../controllers/commentController.js";
+import { logCook } from "../controllers/cookController.js";
+import { verifyAuth, optionalAuth, requireOwnership } from "../middleware/auth.js";
 
 const router = express.Router();
 
+// Owners, and users allowed to manage any content, may change a recipe
+const canManageRecipe = requireOwnership({
+  table: "recipes",
+  notFound: "Recipe not found",
+  scope: (query) => query.is("deleted_at", null),
+});
+const canRestoreRecipe = requireOwnership({
+  table: "recipes",
+  notFound: "Recipe not found in trash",
+  scope: (query) => query.not("deleted_at", "is", null),
+});
+
 // Recipe routes
 router.get("/", optionalAuth, getAllRecipes);
+router.post("/match", optionalAuth, matchRecipes);
 router.get("/:id", optionalAuth, getRecipeById);
+router.get("/:id/export", optionalAuth, exportRecipe);
 router.post("/", verifyAuth, createRecipe);
-router.put("/:id", verifyAuth, updateRecipe);
-router.delete("/:id", verifyAuth, deleteRecipe);
+router.post(
+  "/import",
+  verifyAuth,
+  express.text({ type: "text/html", limit: "2mb" }),
+  importRecipe
+);
+router.put("/:id", verifyAuth, canManageRecipe, updateRecipe);
+router.delete("/:id", verifyAuth, canManageRecipe, deleteRecipe);
+router.post("/:id/restore", verifyAuth, canRestoreRecipe, restoreRecipe);
+
+// Revisions
+router.get("/:id/revisions", optionalAuth, getRecipeRevisions);
+router.get("/:id/revisions/diff", optionalAuth, diffRecipeRevisions);
+router.get("/:id/revisions/:rev", optionalAuth, getRecipeRevision);
+router.post("/:id/revisions/:rev/restore", verifyAuth, canManageRecipe, restoreRecipeRevision);
+
+// Forks
+router.post("/:id/fork", verifyAuth, forkRecipe);
+router.get("/:id/forks", optionalAuth, getRecipeForks);
 
 // Favorites
 router.post("/:id/favorite", verifyAuth, favoriteRecipe);
 router.delete("/:id/favorite", verifyAuth, unfavoriteRecipe);
 router.get("/:id/is-favorited", verifyAuth, isRecipeFavorited);
 
+// Reviews
+router.get("/:id/reviews", optionalAuth, getRecipeReviews);
+router.post("/:id/reviews", verifyAuth, createReview);
+router.put("/:id/reviews", verifyAuth, updateReview);
+router.delete("/:id/reviews", verifyAuth, deleteReview);
+
+// Comments
+router.get("/:id/comments", optionalAuth, getRecipeComments);
+router.post("/:id/comments", verifyAuth, createComment);
+router.put("/:id/comments/:commentId", verifyAuth, updateComment);
+router.delete("/:id/comments/:commentId", verifyAuth, deleteComment);
+
+// Cooking log
+router.post("/:id/cooks", verifyAuth, logCook);
+
 export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { verifyAuth } from "../middleware/auth.js";
+import { createReport } from "../controllers/reportController.js";
+
+const router = express.Router();
+
+router.post("/", verifyAuth, createReport);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from "express";
+import { verifyAuth } from "../middleware/auth.js";
+import {
+  getMyShoppingLists,
+  createShoppingList,
+  getShoppingList,
+  updateShoppingList,
+  deleteShoppingList,
+  addShoppingListItem,
+  updateShoppingListItem,
+  deleteShoppingListItem,
+} from "../controllers/shoppingListController.js";
+
+const router = express.Router();
+
+router.get("/", verifyAuth, getMyShoppingLists);
+router.post("/", verifyAuth, createShoppingList);
+router.get("/:id", verifyAuth, getShoppingList);
+router.patch("/:id", verifyAuth, updateShoppingList);
+router.delete("/:id", verifyAuth, deleteShoppingList);
+router.post("/:id/items", verifyAuth, addShoppingListItem);
+router.patch("/:id/items/:itemId", verifyAuth, updateShoppingListItem);
+router.delete("/:id/items/:itemId", verifyAuth, deleteShoppingListItem);
+
+export default router;
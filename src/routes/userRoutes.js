@@ -1,5 +1,5 @@
 import express from "express";
-import { verifyAuth, optionalAuth } from "../middleware/auth.js";
+import { verifyAuth, optionalAuth, requireOwnership } from "../middleware/auth.js";
 import {
   getUserProfile,
   getUserProfileByUsername,
@@ -12,6 +12,9 @@ import {
   getFollowers,
   getFollowing,
   isFollowing,
+  getMyFollowRequests,
+  acceptFollowRequest,
+  rejectFollowRequest,
   updateUserProfile,
   checkEmailAvailability,
   checkUsernameAvailability,
@@ -20,12 +23,47 @@ import {
   deleteAccount,
 } from "../controllers/userController.js";
 import { getMyFavorites } from "../controllers/favoriteController.js";
+import { getMyCooks, deleteCook } from "../controllers/cookController.js";
+import { getMyTrash } from "../controllers/trashController.js";
+import { getMyFeed } from "../controllers/feedController.js";
+import {
+  blockUser,
+  unblockUser,
+  getMyBlockedUsers,
+  muteUser,
+  unmuteUser,
+  getMyMutedUsers,
+} from "../controllers/blockController.js";
 
 const router = express.Router();
 
+// Users manage their own account; profile edits and deletion are also open to
+// account managers, while credentials can only ever be changed by their owner
+const canManageAccount = requireOwnership({
+  table: "users",
+  ownerColumn: "id",
+  notFound: "User not found",
+  permission: "users:manage",
+});
+const isAccountOwner = requireOwnership({
+  table: "users",
+  ownerColumn: "id",
+  notFound: "User not found",
+  permission: null,
+});
+
 // ── "me" routes must come before /:id to avoid param collision ──
 router.get("/me/favorites", verifyAuth, getMyFavorites);
 router.get("/me/collections", verifyAuth, getMyCollections);
+router.get("/me/cooks", verifyAuth, getMyCooks);
+router.delete("/me/cooks/:cookId", verifyAuth, deleteCook);
+router.get("/me/trash", verifyAuth, getMyTrash);
+router.get("/me/feed", verifyAuth, getMyFeed);
+router.get("/me/follow-requests", verifyAuth, getMyFollowRequests);
+router.post("/me/follow-requests/:requesterId/accept", verifyAuth, acceptFollowRequest);
+router.post("/me/follow-requests/:requesterId/reject", verifyAuth, rejectFollowRequest);
+router.get("/me/blocked", verifyAuth, getMyBlockedUsers);
+router.get("/me/muted", verifyAuth, getMyMutedUsers);
 router.put("/me", verifyAuth, updateMyProfile);
 
 // ── Public profile ──
@@ -37,16 +75,22 @@ router.get("/:id/recipes", optionalAuth, getUserRecipes);
 router.get("/:id/collections", optionalAuth, getUserCollections);
 
 // ── Account management ──
-router.patch("/:id", verifyAuth, updateUserProfile);
-router.post("/:id/change-password", verifyAuth, changePassword);
-router.post("/:id/change-email", verifyAuth, changeEmail);
-router.delete("/:id", verifyAuth, deleteAccount);
+router.patch("/:id", verifyAuth, canManageAccount, updateUserProfile);
+router.post("/:id/change-password", verifyAuth, isAccountOwner, changePassword);
+router.post("/:id/change-email", verifyAuth, isAccountOwner, changeEmail);
+router.delete("/:id", verifyAuth, canManageAccount, deleteAccount);
 
 // ── Followers ──
 router.post("/:id/follow", verifyAuth, followUser);
 router.delete("/:id/follow", verifyAuth, unfollowUser);
-router.get("/:id/followers", getFollowers);
-router.get("/:id/following", getFollowing);
+router.get("/:id/followers", optionalAuth, getFollowers);
+router.get("/:id/following", optionalAuth, getFollowing);
 router.get("/:id/is-following", verifyAuth, isFollowing);
 
+// ── Blocks and mutes ──
+router.post("/:id/block", verifyAuth, blockUser);
+router.delete("/:id/block", verifyAuth, unblockUser);
+router.post("/:id/mute", verifyAuth, muteUser);
+router.delete("/:id/mute", verifyAuth, unmuteUser);
+
 export default router;
@@ -0,0 +1,26 @@
+/**
+ * Cooking stats of a user for a set of recipes
+ * Used by getRecipeById to add times_cooked and last_cooked_at
+ * @param {Object} client - Supabase client
+ * @param {string|undefined} userId - User whose cooking log is read
+ * @param {Array<string>} recipeIds - Recipe IDs
+ * @returns {Promise<Map<string, {times_cooked: number, last_cooked_at: string|null}>>}
+ */
+export const fetchCookStats = async (client, userId, recipeIds) => {
+  const stats = new Map(recipeIds.map((id) => [id, { times_cooked: 0, last_cooked_at: null }]));
+  if (!userId || recipeIds.length === 0) return stats;
+
+  const { data, error } = await client
+    .from("recipe_cook_counts")
+    .select("recipe_id, times_cooked, last_cooked_at")
+    .eq("user_id", userId)
+    .in("recipe_id", recipeIds);
+
+  if (error) throw error;
+
+  for (const { recipe_id, times_cooked, last_cooked_at } of data) {
+    stats.set(recipe_id, { times_cooked, last_cooked_at });
+  }
+
+  return stats;
+};
@@ -0,0 +1,49 @@
+import { isUuid, isIsoTimestamp } from "./validation.js";
+
+/**
+ * Encode a (created_at, id) position as an opaque cursor
+ * @param {Object} row - Row with created_at and id
+ */
+export const encodeCursor = (row) =>
+  Buffer.from(`${row.created_at}|${row.id}`).toString("base64url");
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * Both parts end up inside a PostgREST filter, so anything but an ISO
+ * timestamp and a UUID is rejected
+ * @param {string} cursor - Opaque cursor from the client
+ * @returns {{createdAt: string, id: string}|null} Position, or null when invalid
+ */
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== "string" || !cursor) return null;
+
+  const parts = Buffer.from(cursor, "base64url").toString("utf8").split("|");
+  if (parts.length !== 2) return null;
+
+  const [createdAt, id] = parts;
+  if (!isIsoTimestamp(createdAt) || !isUuid(id)) return null;
+
+  return { createdAt, id };
+};
+
+/**
+ * Restrict a query ordered by created_at and id (both descending) to the
+ * rows after the cursor position
+ * @param {Object} query - Supabase query builder
+ * @param {{createdAt: string, id: string}} position - Decoded cursor
+ */
+export const applyCursor = (query, position) =>
+  query.or(
+    `created_at.lt."${position.createdAt}",and(created_at.eq."${position.createdAt}",id.lt."${position.id}")`
+  );
+
+/**
+ * Split a page fetched with limit + 1 rows into data and the next cursor
+ * @param {Array<Object>} rows - Rows fetched (up to limit + 1)
+ * @param {number} limit - Page size
+ */
+export const paginateByCursor = (rows, limit) => {
+  const data = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(data[data.length - 1]) : null;
+  return { data, nextCursor };
+};
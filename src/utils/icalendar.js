@@ -0,0 +1,99 @@
+/**
+ * Escape a text value for an iCalendar property (RFC 5545 §3.3.11)
+ */
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Format a Date as an iCalendar UTC date-time ("20261019T183000Z")
+ */
+export const formatUtcDateTime = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+  `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+/**
+ * Format a calendar date and minutes since midnight as a floating local
+ * date-time, so events keep their wall-clock time in every timezone
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes since midnight (may be negative)
+ */
+export const formatLocalDateTime = (date, minutes) => {
+  const moment = new Date(Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000);
+  return formatUtcDateTime(moment).slice(0, -1);
+};
+
+/**
+ * Build an iCalendar document
+ * @param {Object} calendar
+ * @param {string} calendar.name - Calendar display name
+ * @param {Array<Object>} calendar.events - Events with uid, start, end
+ *   (iCalendar date-times), summary and optional description, url and alarmMinutes
+ * @returns {string} text/calendar content
+ */
+export const buildCalendar = ({ name, events }) => {
+  const stamp = formatUtcDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Recetario//Meal plan//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${event.start}`,
+      `DTEND:${event.end}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.alarmMinutes) {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${escapeText(event.summary)}`,
+        `TRIGGER:-PT${event.alarmMinutes}M`,
+        "END:VALARM"
+      );
+    }
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
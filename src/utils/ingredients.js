@@ -0,0 +1,364 @@
+import { UNITS, resolveUnit, formatUnit, convertAmount } from "./units.js";
+
+/**
+ * Reduces an English or Spanish plural to its singular so "apples" and
+ * "apple", "berries" and "berry" or "limones" and "limon" compare equal
+ * Mirrored by public.stem_ingredient_word (match_recipes migration)
+ * @param {string} word - Lowercase word without diacritics
+ */
+const stemWord = (word) => {
+  if (word.length <= 3 || /(?:ss|us)$/.test(word)) return word;
+  if (/..ies$/.test(word)) return word.replace(/ies$/, "y");
+  if (/(?:oes|ches|shes|xes|zes|ones|[aeiou]res)$/.test(word)) return word.replace(/es$/, "");
+  return word.replace(/s$/, "");
+};
+
+/**
+ * Normalize an ingredient name into a list of stemmed words
+ * @param {string} name - Ingredient name as typed by the user
+ * @returns {Array<string>} Stemmed words
+ */
+export const normalizeIngredientName = (name = "") =>
+  String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(stemWord);
+
+// ─── Quantities ───────────────────────────────────────────────────────────────
+
+const UNICODE_FRACTIONS = {
+  "½": "1/2",
+  "⅓": "1/3",
+  "⅔": "2/3",
+  "¼": "1/4",
+  "¾": "3/4",
+  "⅕": "1/5",
+  "⅛": "1/8",
+  "⅜": "3/8",
+  "⅝": "5/8",
+  "⅞": "7/8",
+};
+
+const NUMBER_PATTERN = String.raw`\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?`;
+const QUANTITY_REGEX = new RegExp(
+  String.raw`^(${NUMBER_PATTERN})(?:\s*(?:-|–|to|a)\s*(${NUMBER_PATTERN}))?\s*(.*)$`,
+  "i"
+);
+
+// "1,000" or "12,500": a comma followed by groups of exactly three digits
+// separates thousands, any other comma between digits is a decimal point
+const THOUSANDS_REGEX = /\b\d{1,3}(?:,\d{3})+(?![\d,])/g;
+
+const KITCHEN_FRACTIONS = [
+  [1 / 8, "1/8"],
+  [1 / 4, "1/4"],
+  [1 / 3, "1/3"],
+  [3 / 8, "3/8"],
+  [1 / 2, "1/2"],
+  [5 / 8, "5/8"],
+  [2 / 3, "2/3"],
+  [3 / 4, "3/4"],
+  [7 / 8, "7/8"],
+];
+
+/**
+ * Parse a numeric amount written as a decimal, fraction or mixed number
+ * @param {string|number} value - "1.5", "1,5", "3/4", "1 1/2" or "1½"
+ * @returns {number|null} Parsed amount, or null when it is not a number
+ */
+export const parseAmount = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string") return null;
+
+  const text = value
+    .trim()
+    .replace(/[½⅓⅔¼¾⅕⅛⅜⅝⅞]/g, (f) => ` ${UNICODE_FRACTIONS[f]}`)
+    .replace(THOUSANDS_REGEX, (group) => group.replace(/,/g, ""))
+    .replace(/(\d),(\d)/g, "$1.$2")
+    .trim();
+
+  const match = text.match(/^(\d+(?:\.\d+)?)?\s*(?:(\d+)\/(\d+))?$/);
+  if (!match || (!match[1] && !match[2]) || match[3] === "0") return null;
+
+  const whole = match[1] ? Number.parseFloat(match[1]) : 0;
+  const fraction = match[2] ? Number(match[2]) / Number(match[3]) : 0;
+  return whole + fraction;
+};
+
+/**
+ * Parse a free-text quantity such as "1 1/2 tbsp", "200g" or "a pinch"
+ * Text that is neither an amount nor a known unit is kept as the note
+ * @param {string|number} quantity - Legacy quantity value
+ * @returns {{amount: number|null, unit: string|null, note: string|null}}
+ */
+export const parseQuantity = (quantity) => {
+  if (typeof quantity === "number") {
+    return { amount: parseAmount(quantity), unit: null, note: null };
+  }
+  if (typeof quantity !== "string" || !quantity.trim()) {
+    return { amount: null, unit: null, note: null };
+  }
+
+  const { amount, unit, range, remainder } = splitQuantity(quantity);
+  const note = [remainder, range ? `(up to ${range})` : ""].filter(Boolean).join(" ");
+
+  return { amount, unit, note: note || null };
+};
+
+/**
+ * Split a leading amount (or range) and unit off a piece of text
+ * "1 1/2 cups of flour" gives { amount: 1.5, unit: "cup", remainder: "flour" }
+ */
+const splitQuantity = (value) => {
+  const text = value
+    .trim()
+    .replace(/[½⅓⅔¼¾⅕⅛⅜⅝⅞]/g, (f) => ` ${UNICODE_FRACTIONS[f]}`)
+    .replace(THOUSANDS_REGEX, (group) => group.replace(/,/g, ""))
+    .replace(/(\d),(\d)/g, "$1.$2")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  let amount = null;
+  let range = null;
+  let rest = text;
+
+  const match = text.match(QUANTITY_REGEX);
+  if (match) {
+    amount = parseAmount(match[1]);
+    range = match[2] || null;
+    rest = match[3].trim();
+  } else {
+    const article = text.match(/^(?:a|an|un|una)\s+(.*)$/i);
+    if (article && resolveLeadingUnit(article[1]).unit) {
+      amount = 1;
+      rest = article[1];
+    }
+  }
+
+  const { unit, remainder } = resolveLeadingUnit(rest);
+
+  return {
+    amount,
+    unit,
+    range,
+    remainder: remainder.replace(/^(?:of|de)\s+/i, "").trim(),
+  };
+};
+
+/**
+ * Parse a full ingredient line such as "1 1/2 cups flour, sifted"
+ * @param {string} line - Ingredient line as written in a recipe
+ * @returns {{name: string, amount, unit, note}} Name and structured quantity
+ */
+export const parseIngredientLine = (line) => {
+  const { amount, unit, range, remainder } = splitQuantity(String(line));
+
+  if (amount === null && unit === null) {
+    return { name: String(line).trim(), amount: null, unit: null, note: null };
+  }
+
+  const [name, ...details] = remainder.split(",");
+  const note = [details.join(",").trim(), range ? `(up to ${range})` : ""]
+    .filter(Boolean)
+    .join(" ");
+
+  return { name: name.trim() || String(line).trim(), amount, unit, note: note || null };
+};
+
+/**
+ * Split the leading unit (one or two words) off a piece of text
+ */
+const resolveLeadingUnit = (text) => {
+  const words = text.split(" ").filter(Boolean);
+
+  for (const size of [2, 1]) {
+    if (words.length < size) continue;
+    const unit = resolveUnit(words.slice(0, size).join(" "));
+    if (unit) return { unit, remainder: words.slice(size).join(" ") };
+  }
+
+  return { unit: null, remainder: text };
+};
+
+/**
+ * Format an amount for display, using kitchen fractions where they fit
+ * @param {number|null} amount - Amount to format
+ * @param {boolean} decimal - Always use decimals (metric units)
+ * @returns {string} "1 1/2", "1/3", "200" or "0.15"
+ */
+export const formatAmount = (amount, decimal = false) => {
+  if (amount === null || amount === undefined || Number.isNaN(amount)) return "";
+  if (decimal) return String(Math.round(amount * 100) / 100);
+
+  const whole = Math.floor(amount);
+  const remainder = amount - whole;
+  if (remainder < 0.01) return String(whole);
+  if (remainder > 0.99) return String(whole + 1);
+
+  const fraction = KITCHEN_FRACTIONS.find(([value]) => Math.abs(value - remainder) < 0.01);
+  if (fraction) return whole > 0 ? `${whole} ${fraction[1]}` : fraction[1];
+
+  return String(Math.round(amount * 100) / 100);
+};
+
+/**
+ * Build the display string for a structured quantity
+ * @param {{amount: number|null, unit: string|null, note: string|null}} quantity
+ * @returns {string} "1 1/2 tbsp", "1.5 kg", "2 cups sifted" or "to taste"
+ */
+export const formatQuantity = ({ amount, unit, note }) =>
+  [
+    formatAmount(amount, UNITS[unit]?.system === "metric"),
+    unit ? formatUnit(unit, amount) : "",
+    note,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Turn ingredient input from a create/update payload into structured values
+ * Accepts { amount, unit, note } or a legacy { quantity: "1 1/2 tbsp" }
+ * @param {Object} ingredient - Ingredient from the request body
+ * @returns {{amount, unit, note, error}} Structured quantity or an error message
+ */
+export const parseIngredientInput = (ingredient) => {
+  const { amount, unit, note, quantity } = ingredient;
+
+  if (note !== undefined && note !== null && typeof note !== "string") {
+    return { error: `Note for ingredient "${ingredient.name}" must be a string` };
+  }
+
+  if (amount === undefined && unit === undefined) {
+    const parsed = parseQuantity(quantity);
+    if (note?.trim()) {
+      parsed.note = [parsed.note, note.trim()].filter(Boolean).join(" ");
+    }
+    return parsed;
+  }
+
+  const parsedAmount =
+    amount === undefined || amount === null || amount === "" ? null : parseAmount(amount);
+  if (parsedAmount === null && amount !== undefined && amount !== null && amount !== "") {
+    return { error: `Invalid amount "${amount}" for ingredient "${ingredient.name}"` };
+  }
+  if (parsedAmount !== null && parsedAmount < 0) {
+    return { error: `Amount for ingredient "${ingredient.name}" cannot be negative` };
+  }
+
+  const resolvedUnit = unit ? resolveUnit(unit) : null;
+  if (unit && !resolvedUnit) {
+    return { error: `Unknown unit "${unit}" for ingredient "${ingredient.name}"` };
+  }
+
+  return {
+    amount: parsedAmount,
+    unit: resolvedUnit,
+    note: note?.trim() || null,
+  };
+};
+
+/**
+ * Add structured quantity fields and a display string to a stored ingredient
+ * Legacy rows that only have a quantity string are parsed on the fly
+ * @param {Object} ingredient - Ingredient row from the database
+ */
+export const describeIngredient = (ingredient) => {
+  const hasStructured =
+    ingredient.amount !== null && ingredient.amount !== undefined ||
+    Boolean(ingredient.unit);
+
+  const structured = hasStructured
+    ? {
+        amount: ingredient.amount === null ? null : Number(ingredient.amount),
+        unit: ingredient.unit || null,
+        note: ingredient.note || null,
+      }
+    : parseQuantity(ingredient.quantity);
+
+  return {
+    ...ingredient,
+    ...structured,
+    display_quantity: formatQuantity(structured),
+  };
+};
+
+// ─── Scaling ──────────────────────────────────────────────────────────────────
+
+/**
+ * Round a scaled amount to something that can be measured in a kitchen
+ * Metric units get whole numbers (or one decimal for small values), everything
+ * else snaps to the nearest kitchen fraction ("0.33 cup" becomes 1/3 cup)
+ * @param {number|null} amount - Scaled amount
+ * @param {string|null} unit - Canonical unit of the amount
+ */
+export const roundForKitchen = (amount, unit) => {
+  if (amount === null || amount === undefined) return null;
+
+  if (UNITS[unit]?.system === "metric") {
+    if (amount >= 100) return Math.round(amount / 5) * 5;
+    if (amount >= 10) return Math.round(amount);
+    return Math.round(amount * 10) / 10;
+  }
+
+  if (amount >= 10) return Math.round(amount);
+
+  const whole = Math.floor(amount);
+  const candidates = [[0], ...KITCHEN_FRACTIONS, [1]].map(([value]) => value);
+  const fraction = candidates.reduce((best, value) =>
+    Math.abs(value - (amount - whole)) < Math.abs(best - (amount - whole)) ? value : best
+  );
+  const rounded = whole + fraction;
+
+  // Never round a non-zero amount down to nothing
+  return rounded === 0 ? KITCHEN_FRACTIONS[0][0] : rounded;
+};
+
+/**
+ * Scale an ingredient already passed through describeIngredient, converting
+ * it to a unit system on the way so the amount is only rounded once
+ * @param {Object} ingredient - Described ingredient
+ * @param {number} factor - Requested servings divided by stored servings
+ * @param {string|null} system - "metric", "imperial" or null to keep its unit
+ */
+export const scaleIngredient = (ingredient, factor, system = null) => {
+  if (ingredient.amount === null || ingredient.amount === undefined) {
+    return ingredient;
+  }
+
+  const converted = convertAmount(ingredient.amount * factor, ingredient.unit, system);
+  if (factor === 1 && converted.unit === ingredient.unit) {
+    return ingredient;
+  }
+
+  const amount = roundForKitchen(converted.amount, converted.unit);
+  const display = formatQuantity({ ...ingredient, amount, unit: converted.unit });
+
+  return {
+    ...ingredient,
+    amount,
+    unit: converted.unit,
+    quantity: display,
+    display_quantity: display,
+  };
+};
+
+/**
+ * Convert an ingredient already passed through describeIngredient to a unit system
+ * @param {Object} ingredient - Described ingredient
+ * @param {string} system - "metric" or "imperial"
+ */
+export const convertIngredient = (ingredient, system) => scaleIngredient(ingredient, 1, system);
+
+/**
+ * Format a described ingredient as a single line ("2 cups flour, sifted")
+ * @param {Object} ingredient - Described ingredient
+ */
+export const formatIngredientLine = (ingredient) => {
+  const quantity = formatQuantity({ ...ingredient, note: null });
+  const line = [quantity, ingredient.name].filter(Boolean).join(" ");
+  return ingredient.note ? `${line}, ${ingredient.note}` : line;
+};
@@ -0,0 +1,63 @@
+import { supabaseAdmin } from "../config/db.js";
+import { hasBlocked } from "./userAccess.js";
+
+export const NOTIFICATION_TYPES = [
+  "follow",
+  "follow_request",
+  "favorite",
+  "collection_add",
+  "comment",
+  "review",
+];
+
+/**
+ * Notify a user about something another user did
+ * Runs with the admin client since the row belongs to the recipient. Skips
+ * self-notifications, types the recipient muted and actors they blocked.
+ * Failures are logged and never break the action that triggered the notification
+ * @param {Object} notification
+ * @param {string} notification.userId - Recipient
+ * @param {string} notification.actorId - User who did the action
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} notification.recipeId - Related recipe (optional)
+ * @param {string} notification.collectionId - Related collection (optional)
+ * @param {string} notification.commentId - Related comment (optional)
+ * @param {string} notification.reviewId - Related review (optional)
+ */
+export const notify = async ({
+  userId,
+  actorId,
+  type,
+  recipeId = null,
+  collectionId = null,
+  commentId = null,
+  reviewId = null,
+}) => {
+  if (!userId || userId === actorId) return;
+
+  try {
+    const { data: recipient, error: recipientError } = await supabaseAdmin
+      .from("users")
+      .select("muted_notification_types")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (recipientError) throw recipientError;
+    if (!recipient || recipient.muted_notification_types?.includes(type)) return;
+    if (await hasBlocked(userId, actorId)) return;
+
+    const { error } = await supabaseAdmin.from("notifications").insert({
+      user_id: userId,
+      actor_id: actorId,
+      type,
+      recipe_id: recipeId,
+      collection_id: collectionId,
+      comment_id: commentId,
+      review_id: reviewId,
+    });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`Error creating ${type} notification:`, error);
+  }
+};
@@ -0,0 +1,30 @@
+export const ROLES = ["user", "moderator", "admin"];
+
+/**
+ * Permissions granted to each role
+ * - content:moderate  work the report queue, hide content, suspend users
+ * - content:manage    edit or delete any user's recipes and collections
+ * - users:manage      edit or delete any account and assign roles
+ * - tags:manage       create, edit and translate tags
+ */
+export const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ["content:moderate"],
+  admin: ["content:moderate", "content:manage", "users:manage", "tags:manage"],
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - One of ROLES
+ * @param {string} permission - Permission name
+ */
+export const hasPermission = (role, permission) =>
+  ROLE_PERMISSIONS[role]?.includes(permission) ?? false;
+
+/**
+ * Check whether a role ranks strictly above another (ROLES goes lowest first)
+ * Moderators may only act on accounts below their own role
+ * @param {string} role - Role of the user acting
+ * @param {string} otherRole - Role of the user acted upon
+ */
+export const outranks = (role, otherRole) => ROLES.indexOf(role) > ROLES.indexOf(otherRole);
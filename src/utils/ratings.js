@@ -0,0 +1,30 @@
+/**
+ * Fetch average rating and rating count for a set of recipes
+ * Aggregated by the recipe_rating_stats view, one row per reviewed recipe
+ * @param {Object} client - Supabase client
+ * @param {Array<string>} recipeIds - Recipe IDs
+ * @returns {Promise<Map<string, {average_rating: number|null, rating_count: number}>>}
+ */
+export const fetchRatingStats = async (client, recipeIds) => {
+  const stats = new Map();
+  if (recipeIds.length === 0) return stats;
+
+  const { data, error } = await client
+    .from("recipe_rating_stats")
+    .select("recipe_id, average_rating, rating_count")
+    .in("recipe_id", recipeIds);
+
+  if (error) throw error;
+
+  const rows = new Map(data.map((row) => [row.recipe_id, row]));
+
+  for (const id of recipeIds) {
+    const row = rows.get(id);
+    stats.set(id, {
+      average_rating: row ? Number(row.average_rating) : null,
+      rating_count: row ? Number(row.rating_count) : 0,
+    });
+  }
+
+  return stats;
+};
@@ -0,0 +1,72 @@
+export const RECIPE_STATUSES = ["draft", "scheduled", "published", "archived"];
+
+// Recipe columns canViewRecipe needs. author_visible is computed in the
+// database for the requesting user from the author's privacy settings and blocks
+export const RECIPE_ACCESS_FIELDS = "id, user_id, is_public, status, publish_at, deleted_at, hidden_at, author_visible";
+
+/**
+ * Check whether a recipe is live: published, or scheduled with its publish
+ * time already reached
+ * @param {Object} recipe - Recipe with status and publish_at
+ * @param {Date} now - Reference time (defaults to the current time)
+ */
+export const isRecipePublished = (recipe, now = new Date()) =>
+  recipe.status === "published" ||
+  (recipe.status === "scheduled" &&
+    Boolean(recipe.publish_at) &&
+    new Date(recipe.publish_at) <= now);
+
+/**
+ * Check whether a user may see a recipe
+ * Public recipes are visible once published to everyone their author's
+ * account is open to (see author_visible); the author always sees their own
+ * recipes, whatever their status. Recipes hidden by a moderator are only
+ * visible to their author; trashed recipes are hidden from everyone
+ * @param {Object|null} recipe - Recipe with the RECIPE_ACCESS_FIELDS columns,
+ *   read with the current user's client
+ * @param {string|undefined} userId - Current user, if authenticated
+ */
+export const canViewRecipe = (recipe, userId) =>
+  Boolean(recipe) &&
+  !recipe.deleted_at &&
+  ((recipe.is_public && !recipe.hidden_at && recipe.author_visible === true && isRecipePublished(recipe)) ||
+    (Boolean(userId) && recipe.user_id === userId));
+
+/**
+ * Check whether a user may see a collection
+ * Same rules as canViewRecipe, without a publishing lifecycle
+ * @param {Object|null} collection - Collection with user_id, is_public, deleted_at,
+ *   hidden_at and author_visible, read with the current user's client
+ * @param {string|undefined} userId - Current user, if authenticated
+ */
+export const canViewCollection = (collection, userId) =>
+  Boolean(collection) &&
+  !collection.deleted_at &&
+  ((collection.is_public && !collection.hidden_at && collection.author_visible === true) ||
+    (Boolean(userId) && collection.user_id === userId));
+
+/**
+ * PostgREST filter matching public recipes that are live
+ */
+export const publishedRecipesFilter = () =>
+  `and(is_public.eq.true,hidden_at.is.null,or(status.eq.published,and(status.eq.scheduled,publish_at.lte."${new Date().toISOString()}")))`;
+
+/**
+ * Restrict a recipes query to the ones a user may see
+ * Mirrors canViewRecipe: live public recipes of authors whose content the
+ * user may see, plus the user's own, never trashed ones
+ * @param {Object} query - Supabase query on recipes, or embedding them
+ * @param {string|undefined} userId - Current user, if authenticated
+ * @param {string} referencedTable - Name of the embedded recipes resource when
+ *   the query is on another table; embed it with !inner to drop the parent rows
+ */
+export const applyRecipeVisibility = (query, userId, referencedTable) =>
+  query
+    .is(referencedTable ? `${referencedTable}.deleted_at` : "deleted_at", null)
+    .eq(referencedTable ? `${referencedTable}.author_visible` : "author_visible", true)
+    .or(
+      userId
+        ? `${publishedRecipesFilter()},user_id.eq.${userId}`
+        : publishedRecipesFilter(),
+      referencedTable ? { referencedTable } : undefined
+    );
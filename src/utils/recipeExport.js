@@ -0,0 +1,157 @@
+import { formatIngredientLine } from "./ingredients.js";
+
+const APP_URL = process.env.FRONTEND_URL || "https://recetario-eight.vercel.app";
+
+/**
+ * Public URL of a recipe in the web app
+ * @param {string} recipeId - Recipe ID
+ */
+export const getRecipeUrl = (recipeId) => `${APP_URL}/recipes/${recipeId}`;
+
+/**
+ * Format minutes as an ISO 8601 duration ("PT1H15M")
+ * @param {number} minutes - Duration in minutes
+ */
+export const toIsoDuration = (minutes) => {
+  if (!minutes) return undefined;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours ? `${hours}H` : ""}${rest || !hours ? `${rest}M` : ""}`;
+};
+
+const formatMinutes = (minutes) => {
+  if (!minutes) return "";
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest} min`;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+};
+
+const getTagNames = (recipe) =>
+  (recipe.recipe_tags || []).map((rt) => rt.tags?.name).filter(Boolean);
+
+const sortedSteps = (recipe) =>
+  [...(recipe.steps || [])].sort((a, b) => (a.step_number || 0) - (b.step_number || 0));
+
+const sortedIngredients = (recipe) =>
+  [...(recipe.ingredients || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+
+const ingredientLine = (ingredient) =>
+  `${formatIngredientLine(ingredient)}${ingredient.optional ? " (optional)" : ""}`;
+
+/**
+ * Build a schema.org Recipe document from a complete recipe
+ * @param {Object} recipe - Recipe as returned by fetchCompleteRecipe
+ * @returns {Object} JSON-LD document
+ */
+export const toSchemaRecipe = (recipe) => {
+  const url = getRecipeUrl(recipe.id);
+  const tags = getTagNames(recipe);
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "Recipe",
+    "@id": url,
+    url,
+    name: recipe.name,
+    description: recipe.description || undefined,
+    image: recipe.main_image_url || undefined,
+    author: recipe.user?.name ? { "@type": "Person", name: recipe.user.name } : undefined,
+    datePublished: recipe.created_at || undefined,
+    totalTime: toIsoDuration(recipe.prep_time),
+    recipeYield: recipe.servings ? String(recipe.servings) : undefined,
+    nutrition:
+      recipe.calories !== null && recipe.calories !== undefined
+        ? { "@type": "NutritionInformation", calories: `${recipe.calories} calories` }
+        : undefined,
+    keywords: tags.length > 0 ? tags.join(", ") : undefined,
+    recipeIngredient: sortedIngredients(recipe).map(ingredientLine),
+    recipeInstructions: sortedSteps(recipe).map((step, index) => ({
+      "@type": "HowToStep",
+      position: index + 1,
+      text: step.tip ? `${step.description} (${step.tip})` : step.description,
+      image: step.image_url || undefined,
+    })),
+  };
+};
+
+/**
+ * Build a Markdown document from a complete recipe
+ * @param {Object} recipe - Recipe as returned by fetchCompleteRecipe
+ * @returns {string} Markdown
+ */
+export const toMarkdown = (recipe) => {
+  const tags = getTagNames(recipe);
+  const facts = [
+    recipe.prep_time && `**Time:** ${formatMinutes(recipe.prep_time)}`,
+    recipe.servings && `**Servings:** ${recipe.servings}`,
+    recipe.difficulty && `**Difficulty:** ${recipe.difficulty}/5`,
+    recipe.calories && `**Calories:** ${recipe.calories} kcal`,
+  ].filter(Boolean);
+
+  const lines = [`# ${recipe.name}`, ""];
+
+  if (recipe.main_image_url) lines.push(`![${recipe.name}](${recipe.main_image_url})`, "");
+  if (recipe.description) lines.push(recipe.description, "");
+  if (facts.length > 0) lines.push(facts.join(" · "), "");
+  if (tags.length > 0) lines.push(`_${tags.join(", ")}_`, "");
+
+  lines.push("## Ingredients", "");
+  for (const ingredient of sortedIngredients(recipe)) {
+    lines.push(`- ${ingredientLine(ingredient)}`);
+  }
+
+  lines.push("", "## Steps", "");
+  sortedSteps(recipe).forEach((step, index) => {
+    lines.push(`${index + 1}. ${step.description}`);
+    if (step.tip) lines.push(`   > **Tip:** ${step.tip}`);
+    if (step.image_url) lines.push(`   ![Step ${index + 1}](${step.image_url})`);
+  });
+
+  lines.push("", "---", "");
+  lines.push(
+    recipe.user?.name
+      ? `By ${recipe.user.name} · ${getRecipeUrl(recipe.id)}`
+      : getRecipeUrl(recipe.id)
+  );
+
+  return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Build a printable plain text version of a complete recipe
+ * @param {Object} recipe - Recipe as returned by fetchCompleteRecipe
+ * @returns {string} Plain text
+ */
+export const toPlainText = (recipe) => {
+  const title = recipe.name.toUpperCase();
+  const facts = [
+    recipe.prep_time && `Time: ${formatMinutes(recipe.prep_time)}`,
+    recipe.servings && `Servings: ${recipe.servings}`,
+    recipe.difficulty && `Difficulty: ${recipe.difficulty}/5`,
+    recipe.calories && `Calories: ${recipe.calories} kcal`,
+  ].filter(Boolean);
+  const tags = getTagNames(recipe);
+
+  const lines = [title, "=".repeat(title.length), ""];
+
+  if (recipe.description) lines.push(recipe.description, "");
+  if (facts.length > 0) lines.push(facts.join(" | "));
+  if (tags.length > 0) lines.push(`Tags: ${tags.join(", ")}`);
+  if (facts.length > 0 || tags.length > 0) lines.push("");
+
+  lines.push("INGREDIENTS", "-----------");
+  for (const ingredient of sortedIngredients(recipe)) {
+    lines.push(`  * ${ingredientLine(ingredient)}`);
+  }
+
+  lines.push("", "STEPS", "-----");
+  sortedSteps(recipe).forEach((step, index) => {
+    lines.push(`  ${index + 1}. ${step.description}`);
+    if (step.tip) lines.push(`     Tip: ${step.tip}`);
+  });
+
+  lines.push("", recipe.user?.name ? `By ${recipe.user.name}` : "", getRecipeUrl(recipe.id));
+
+  return `${lines.join("\n").replace(/\n{3,}/g, "\n\n")}\n`;
+};
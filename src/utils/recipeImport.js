@@ -0,0 +1,209 @@
+import { parseIngredientLine } from "./ingredients.js";
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * Decode HTML entities and strip tags from a schema.org text value
+ */
+const cleanText = (value) => {
+  if (value === null || value === undefined) return "";
+
+  return String(value)
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === "#") {
+        const point =
+          code[1].toLowerCase() === "x"
+            ? Number.parseInt(code.slice(2), 16)
+            : Number.parseInt(code.slice(1), 10);
+        return Number.isNaN(point) || point > 0x10ffff ? entity : String.fromCodePoint(point);
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+};
+
+const asArray = (value) => {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const hasType = (node, type) =>
+  asArray(node?.["@type"]).some((t) => String(t).toLowerCase() === type.toLowerCase());
+
+/**
+ * Parse an ISO 8601 duration ("PT1H30M", "P0DT45M") into whole minutes
+ * @param {string} duration - ISO 8601 duration
+ * @returns {number|null} Minutes, or null when the value is not a duration
+ */
+export const parseIsoDuration = (duration) => {
+  if (typeof duration !== "string") return null;
+
+  const match = duration
+    .trim()
+    .toUpperCase()
+    .match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (!match || match.slice(1).every((part) => part === undefined)) return null;
+
+  const [days, hours, minutes, seconds] = match.slice(1).map((part) => Number(part) || 0);
+  return Math.ceil(days * 1440 + hours * 60 + minutes + seconds / 60);
+};
+
+/**
+ * Find the first schema.org Recipe node in parsed JSON-LD
+ * Handles top-level arrays, @graph containers and nested mainEntity
+ */
+const findRecipeNode = (node) => {
+  if (!node || typeof node !== "object") return null;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const recipe = findRecipeNode(item);
+      if (recipe) return recipe;
+    }
+    return null;
+  }
+  if (hasType(node, "Recipe")) return node;
+
+  return findRecipeNode(node["@graph"]) || findRecipeNode(node.mainEntity);
+};
+
+/**
+ * Extract the schema.org Recipe from the JSON-LD blocks of an HTML document
+ * @param {string} html - Raw HTML document
+ * @returns {Object|null} Recipe node, or null when the page has none
+ */
+export const extractRecipeFromHtml = (html) => {
+  const scriptRegex =
+    /<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+  for (const [, content] of html.matchAll(scriptRegex)) {
+    try {
+      const recipe = findRecipeNode(JSON.parse(content.trim()));
+      if (recipe) return recipe;
+    } catch {
+      // Ignore malformed blocks, pages often ship several of them
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve a JSON-LD payload (object or string) to its Recipe node
+ * @param {Object|string} jsonld - JSON-LD document
+ * @returns {Object|null} Recipe node, or null when none is found
+ */
+export const extractRecipeFromJsonLd = (jsonld) => {
+  if (typeof jsonld === "string") {
+    try {
+      return findRecipeNode(JSON.parse(jsonld));
+    } catch {
+      return null;
+    }
+  }
+  return findRecipeNode(jsonld);
+};
+
+const parseYield = (recipeYield) => {
+  for (const value of asArray(recipeYield)) {
+    const match = String(value).match(/\d+/);
+    if (match) return Number.parseInt(match[0]);
+  }
+  return null;
+};
+
+const parseImage = (image) => {
+  const first = asArray(image)[0];
+  if (!first) return null;
+  if (typeof first === "string") return first;
+  return first.url || first.contentUrl || null;
+};
+
+/**
+ * Flatten recipeInstructions (text, HowToStep, HowToSection) into steps
+ */
+const parseInstructions = (instructions) => {
+  const steps = [];
+
+  const visit = (node, section) => {
+    if (!node) return;
+    if (typeof node === "string") {
+      // Plain text instructions are usually one paragraph per step
+      for (const line of node.split(/\n+|<\/?(?:p|li|br)\s*\/?>/i)) {
+        const description = cleanText(line);
+        if (description) steps.push({ description, section });
+      }
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach((item) => visit(item, section));
+      return;
+    }
+    if (hasType(node, "HowToSection")) {
+      visit(node.itemListElement, cleanText(node.name) || section);
+      return;
+    }
+    if (hasType(node, "ItemList")) {
+      visit(node.itemListElement, section);
+      return;
+    }
+
+    const description = cleanText(node.text || node.name || node.description);
+    if (description) {
+      steps.push({ description, section, imageUrl: parseImage(node.image) });
+    }
+  };
+
+  visit(instructions, null);
+
+  // Steps have no section field, so the section name prefixes the text
+  return steps.map((step, index) => ({
+    step_number: index + 1,
+    description: step.section ? `${step.section}: ${step.description}` : step.description,
+    tip: null,
+    imageUrl: step.imageUrl || null,
+  }));
+};
+
+/**
+ * Map a schema.org Recipe node into the payload createRecipe expects
+ * Fields schema.org has no equivalent for (difficulty, isPublic) are left
+ * unset so the caller can fill them in before saving
+ * @param {Object} node - schema.org Recipe
+ * @returns {Object} Recipe draft
+ */
+export const mapSchemaRecipe = (node) => {
+  const totalTime = parseIsoDuration(node.totalTime);
+  const partialTime =
+    (parseIsoDuration(node.prepTime) || 0) + (parseIsoDuration(node.cookTime) || 0);
+  const calories = String(node.nutrition?.calories ?? "").match(/\d+/);
+
+  return {
+    name: cleanText(node.name),
+    description: cleanText(node.description),
+    prepTime: totalTime || partialTime || null,
+    servings: parseYield(node.recipeYield),
+    difficulty: null,
+    calories: calories ? Number.parseInt(calories[0]) : null,
+    mainImageURL: parseImage(node.image),
+    ingredients: asArray(node.recipeIngredient || node.ingredients)
+      .map(cleanText)
+      .filter(Boolean)
+      .map((line, index) => ({
+        ...parseIngredientLine(line),
+        optional: false,
+        order: index + 1,
+      })),
+    steps: parseInstructions(node.recipeInstructions),
+    tags: [],
+    isPublic: null,
+  };
+};
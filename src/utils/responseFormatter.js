@@ -67,3 +67,25 @@ export const formatPagination = (
     data,
   };
 };
+
+/**
+ * Format a cursor-paginated response
+ * @param {Array} data - Data to include in the response
+ * @param {string|null} nextCursor - Cursor for the next page, null on the last page
+ * @param {string} message - Descriptive message (optional)
+ */
+export const formatCursorPagination = (
+  data,
+  nextCursor,
+  message = "Data retrieved successfully"
+) => {
+  return {
+    status: "success",
+    statusCode: 200,
+    message,
+    results: data.length,
+    nextCursor,
+    hasMore: nextCursor !== null,
+    data,
+  };
+};
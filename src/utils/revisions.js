@@ -0,0 +1,101 @@
+import { normalizeIngredientName } from "./ingredients.js";
+
+const TRACKED_FIELDS = [
+  "name",
+  "description",
+  "prep_time",
+  "servings",
+  "difficulty",
+  "calories",
+  "main_image_url",
+  "is_public",
+  "status",
+  "publish_at",
+];
+
+const ingredientKey = (ingredient) => normalizeIngredientName(ingredient.name).join(" ");
+
+const describeQuantity = (ingredient) =>
+  ingredient.display_quantity ?? ingredient.quantity ?? "";
+
+const diffIngredients = (before = [], after = []) => {
+  const previous = new Map(before.map((i) => [ingredientKey(i), i]));
+  const next = new Map(after.map((i) => [ingredientKey(i), i]));
+
+  const added = after.filter((i) => !previous.has(ingredientKey(i))).map((i) => i.name);
+  const removed = before.filter((i) => !next.has(ingredientKey(i))).map((i) => i.name);
+  const changed = [];
+
+  for (const [key, ingredient] of next) {
+    const old = previous.get(key);
+    if (!old) continue;
+
+    const from = describeQuantity(old);
+    const to = describeQuantity(ingredient);
+    if (from !== to || Boolean(old.optional) !== Boolean(ingredient.optional)) {
+      changed.push({
+        name: ingredient.name,
+        from: { quantity: from, optional: Boolean(old.optional) },
+        to: { quantity: to, optional: Boolean(ingredient.optional) },
+      });
+    }
+  }
+
+  return { added, removed, changed };
+};
+
+const diffSteps = (before = [], after = []) => {
+  const previous = new Map(before.map((s) => [s.step_number, s]));
+  const next = new Map(after.map((s) => [s.step_number, s]));
+
+  const added = after.filter((s) => !previous.has(s.step_number));
+  const removed = before.filter((s) => !next.has(s.step_number));
+  const changed = [];
+
+  for (const [number, step] of next) {
+    const old = previous.get(number);
+    if (!old) continue;
+
+    const fields = ["description", "tip", "image_url"].filter(
+      (field) => (old[field] ?? null) !== (step[field] ?? null)
+    );
+    if (fields.length > 0) {
+      changed.push({
+        step_number: number,
+        changes: fields.map((field) => ({ field, from: old[field] ?? null, to: step[field] ?? null })),
+      });
+    }
+  }
+
+  return {
+    added: added.map((s) => ({ step_number: s.step_number, description: s.description })),
+    removed: removed.map((s) => ({ step_number: s.step_number, description: s.description })),
+    changed,
+  };
+};
+
+const diffTags = (before = [], after = []) => {
+  const tagOf = (rt) => ({ id: rt.tag_id, name: rt.tags?.name ?? null });
+  const previous = new Set(before.map((rt) => rt.tag_id));
+  const next = new Set(after.map((rt) => rt.tag_id));
+
+  return {
+    added: after.filter((rt) => !previous.has(rt.tag_id)).map(tagOf),
+    removed: before.filter((rt) => !next.has(rt.tag_id)).map(tagOf),
+  };
+};
+
+/**
+ * Compute the differences between two recipe snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Object} Changed fields, ingredients, steps and tags
+ */
+export const diffSnapshots = (before, after) => ({
+  fields: TRACKED_FIELDS.filter((field) => (before[field] ?? null) !== (after[field] ?? null)).map(
+    (field) => ({ field, from: before[field] ?? null, to: after[field] ?? null })
+  ),
+  ingredients: diffIngredients(before.ingredients, after.ingredients),
+  steps: diffSteps(before.steps, after.steps),
+  tags: diffTags(before.recipe_tags, after.recipe_tags),
+});
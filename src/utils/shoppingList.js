@@ -0,0 +1,67 @@
+import { normalizeIngredientName, roundForKitchen, formatQuantity } from "./ingredients.js";
+import { convertBetweenUnits } from "./units.js";
+
+/**
+ * Merge ingredients from several recipes into shopping list items
+ * Ingredients with the same name are summed when their units are compatible
+ * (same unit, same dimension, or both unitless); otherwise they stay separate
+ * @param {Array<Object>} ingredients - Described ingredients with recipe_id,
+ *   amounts already scaled to the requested servings
+ * @returns {Array<Object>} Items with name, amount, unit, note and recipe_ids
+ */
+export const mergeIngredients = (ingredients) => {
+  const items = [];
+
+  for (const ingredient of ingredients) {
+    const key = normalizeIngredientName(ingredient.name).join(" ");
+    const hasAmount = ingredient.amount !== null && ingredient.amount !== undefined;
+
+    const existing = items.find((item) => {
+      if (item.key !== key) return false;
+      if (!hasAmount || item.amount === null) return !hasAmount && item.amount === null;
+      return convertBetweenUnits(1, ingredient.unit, item.unit) !== null;
+    });
+
+    if (!existing) {
+      items.push({
+        key,
+        name: ingredient.name.trim(),
+        amount: hasAmount ? ingredient.amount : null,
+        unit: ingredient.unit || null,
+        notes: ingredient.note ? [ingredient.note] : [],
+        recipe_ids: ingredient.recipe_id ? [ingredient.recipe_id] : [],
+      });
+      continue;
+    }
+
+    if (hasAmount) {
+      existing.amount += convertBetweenUnits(ingredient.amount, ingredient.unit, existing.unit);
+    }
+    if (ingredient.note && !existing.notes.includes(ingredient.note)) {
+      existing.notes.push(ingredient.note);
+    }
+    if (ingredient.recipe_id && !existing.recipe_ids.includes(ingredient.recipe_id)) {
+      existing.recipe_ids.push(ingredient.recipe_id);
+    }
+  }
+
+  return items.map(({ key, notes, ...item }) => ({
+    ...item,
+    amount: roundForKitchen(item.amount, item.unit),
+    note: notes.join("; ") || null,
+  }));
+};
+
+/**
+ * Add the display string to a stored shopping list item
+ * @param {Object} item - Item row from the database
+ */
+export const describeShoppingItem = (item) => ({
+  ...item,
+  amount: item.amount === null ? null : Number(item.amount),
+  display_quantity: formatQuantity({
+    amount: item.amount === null ? null : Number(item.amount),
+    unit: item.unit,
+    note: null,
+  }),
+});
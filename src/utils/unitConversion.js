@@ -0,0 +1,57 @@
+import { UNIT_SYSTEMS, convertTemperatures } from "./units.js";
+import { convertIngredient } from "./ingredients.js";
+
+/**
+ * Resolve the unit system to present recipes in
+ * The units query parameter wins over the user's saved preference; when
+ * neither is set recipes are returned in the units their author typed.
+ * The preference is mirrored into the auth user's metadata (see the
+ * unit_system migration), so it comes with req.user and costs no query
+ * @param {Object} req - Express request (units query, optional user)
+ * @returns {{system: string|null, error: string|null}}
+ */
+export const resolveUnitSystem = (req) => {
+  const { units } = req.query;
+
+  if (units !== undefined) {
+    if (!UNIT_SYSTEMS.includes(units)) {
+      return { system: null, error: `units must be one of: ${UNIT_SYSTEMS.join(", ")}` };
+    }
+    return { system: units, error: null };
+  }
+
+  const saved = req.user?.user_metadata?.unit_system;
+  return { system: UNIT_SYSTEMS.includes(saved) ? saved : null, error: null };
+};
+
+/**
+ * Convert ingredient quantities and the temperatures mentioned in the
+ * description and steps of a recipe to the given unit system
+ * @param {Object} recipe - Recipe, with or without ingredients and steps
+ * @param {string|null} system - "metric", "imperial" or null to leave as is
+ */
+export const convertRecipeUnits = (recipe, system) => {
+  if (!system || !recipe) return recipe;
+
+  const converted = {
+    ...recipe,
+    description: convertTemperatures(recipe.description, system),
+    units: system,
+  };
+
+  if (recipe.ingredients) {
+    converted.ingredients = recipe.ingredients.map((ingredient) =>
+      convertIngredient(ingredient, system)
+    );
+  }
+
+  if (recipe.steps) {
+    converted.steps = recipe.steps.map((step) => ({
+      ...step,
+      description: convertTemperatures(step.description, system),
+      tip: convertTemperatures(step.tip, system),
+    }));
+  }
+
+  return converted;
+};
@@ -0,0 +1,154 @@
+/**
+ * Known ingredient units, keyed by the canonical value stored in the database
+ * Aliases are matched case-insensitively and cover English and Spanish forms
+ * Metric units are displayed with decimals, the rest with kitchen fractions
+ * Mass and volume units carry their factor to grams or milliliters
+ */
+export const UNITS = {
+  mg: { system: "metric", dimension: "mass", factor: 0.001, label: "mg", aliases: ["mg", "milligram", "milligrams", "miligramo", "miligramos"] },
+  g: { system: "metric", dimension: "mass", factor: 1, label: "g", aliases: ["g", "gr", "grs", "gram", "grams", "gramo", "gramos"] },
+  kg: { system: "metric", dimension: "mass", factor: 1000, label: "kg", aliases: ["kg", "kgs", "kilo", "kilos", "kilogram", "kilograms", "kilogramo", "kilogramos"] },
+  oz: { system: "imperial", dimension: "mass", factor: 28.3495, label: "oz", aliases: ["oz", "ounce", "ounces", "onza", "onzas"] },
+  lb: { system: "imperial", dimension: "mass", factor: 453.592, label: "lb", aliases: ["lb", "lbs", "pound", "pounds", "libra", "libras"] },
+  ml: { system: "metric", dimension: "volume", factor: 1, label: "ml", aliases: ["ml", "milliliter", "milliliters", "millilitre", "millilitres", "mililitro", "mililitros"] },
+  cl: { system: "metric", dimension: "volume", factor: 10, label: "cl", aliases: ["cl", "centiliter", "centiliters", "centilitro", "centilitros"] },
+  dl: { system: "metric", dimension: "volume", factor: 100, label: "dl", aliases: ["dl", "deciliter", "deciliters", "decilitro", "decilitros"] },
+  l: { system: "metric", dimension: "volume", factor: 1000, label: "l", aliases: ["l", "lt", "liter", "liters", "litre", "litres", "litro", "litros"] },
+  tsp: { system: "imperial", dimension: "volume", factor: 4.92892, label: "tsp", aliases: ["tsp", "teaspoon", "teaspoons", "cucharadita", "cucharaditas", "cdta", "cdtas"] },
+  tbsp: { system: "imperial", dimension: "volume", factor: 14.7868, label: "tbsp", aliases: ["tbsp", "tbs", "tablespoon", "tablespoons", "cucharada", "cucharadas", "cda", "cdas"] },
+  fl_oz: { system: "imperial", dimension: "volume", factor: 29.5735, label: "fl oz", aliases: ["fl oz", "floz", "fluid ounce", "fluid ounces"] },
+  cup: { system: "imperial", dimension: "volume", factor: 236.588, label: "cup", plural: "cups", aliases: ["cup", "cups", "c", "taza", "tazas"] },
+  pint: { system: "imperial", dimension: "volume", factor: 473.176, label: "pint", plural: "pints", aliases: ["pint", "pints", "pt", "pinta", "pintas"] },
+  quart: { system: "imperial", dimension: "volume", factor: 946.353, label: "quart", plural: "quarts", aliases: ["quart", "quarts", "qt"] },
+  gallon: { system: "imperial", dimension: "volume", factor: 3785.41, label: "gallon", plural: "gallons", aliases: ["gallon", "gallons", "gal", "galon", "galones"] },
+  pinch: { label: "pinch", plural: "pinches", aliases: ["pinch", "pinches", "pizca", "pizcas"] },
+  dash: { label: "dash", plural: "dashes", aliases: ["dash", "dashes", "chorrito", "chorritos"] },
+  clove: { label: "clove", plural: "cloves", aliases: ["clove", "cloves", "diente", "dientes"] },
+  slice: { label: "slice", plural: "slices", aliases: ["slice", "slices", "loncha", "lonchas", "rebanada", "rebanadas", "rodaja", "rodajas"] },
+  piece: { label: "piece", plural: "pieces", aliases: ["piece", "pieces", "pc", "pcs", "pieza", "piezas", "trozo", "trozos"] },
+  can: { label: "can", plural: "cans", aliases: ["can", "cans", "tin", "tins", "lata", "latas"] },
+  package: { label: "package", plural: "packages", aliases: ["package", "packages", "pack", "packs", "paquete", "paquetes", "sobre", "sobres"] },
+  bunch: { label: "bunch", plural: "bunches", aliases: ["bunch", "bunches", "manojo", "manojos"] },
+  sprig: { label: "sprig", plural: "sprigs", aliases: ["sprig", "sprigs", "ramita", "ramitas"] },
+  handful: { label: "handful", plural: "handfuls", aliases: ["handful", "handfuls", "puñado", "puñados", "punado", "punados"] },
+};
+
+// Canonical values are accepted too, so stored units ("fl_oz") resolve to themselves
+const UNIT_ALIASES = new Map(
+  Object.entries(UNITS).flatMap(([unit, { aliases }]) =>
+    [unit, ...aliases].map((alias) => [alias, unit])
+  )
+);
+
+/**
+ * Resolve a unit or one of its aliases to its canonical value
+ * @param {string} value - Unit as typed by the user ("Tbsp.", "cucharadas")
+ * @returns {string|null} Canonical unit, or null when it is not known
+ */
+export const resolveUnit = (value) => {
+  if (typeof value !== "string") return null;
+  const key = value.trim().toLowerCase().replace(/\.$/, "");
+  return UNIT_ALIASES.get(key) ?? null;
+};
+
+/**
+ * Get the display label for a canonical unit, pluralized for amounts over one
+ * @param {string} unit - Canonical unit
+ * @param {number|null} amount - Amount the unit applies to
+ */
+export const formatUnit = (unit, amount) => {
+  const definition = UNITS[unit];
+  if (!definition) return unit || "";
+  return amount > 1 && definition.plural ? definition.plural : definition.label;
+};
+
+// ─── Conversion ───────────────────────────────────────────────────────────────
+
+export const UNIT_SYSTEMS = ["metric", "imperial"];
+
+/**
+ * Pick the unit an amount in base units (g or ml) is best expressed in
+ */
+const pickTargetUnit = (dimension, baseAmount, system) => {
+  if (system === "metric") {
+    if (dimension === "mass") return baseAmount >= 1000 ? "kg" : "g";
+    return baseAmount >= 1000 ? "l" : "ml";
+  }
+
+  if (dimension === "mass") {
+    return baseAmount >= 16 * UNITS.oz.factor ? "lb" : "oz";
+  }
+  if (baseAmount < UNITS.tbsp.factor) return "tsp";
+  if (baseAmount < UNITS.cup.factor / 4) return "tbsp";
+  return "cup";
+};
+
+/**
+ * Convert a mass or volume amount to the given unit system
+ * Units without a system (pinch, clove...) and unknown ones are left unchanged
+ * @param {number|null} amount - Amount in the original unit
+ * @param {string|null} unit - Canonical unit
+ * @param {string|null} system - "metric", "imperial" or null to keep the unit
+ * @returns {{amount: number|null, unit: string|null}} Unrounded converted amount
+ */
+export const convertAmount = (amount, unit, system) => {
+  const definition = UNITS[unit];
+  if (
+    amount === null ||
+    amount === undefined ||
+    !system ||
+    !definition?.dimension ||
+    !definition.system ||
+    definition.system === system
+  ) {
+    return { amount, unit };
+  }
+
+  const baseAmount = amount * definition.factor;
+  const targetUnit = pickTargetUnit(definition.dimension, baseAmount, system);
+
+  return { amount: baseAmount / UNITS[targetUnit].factor, unit: targetUnit };
+};
+
+const TEMPERATURE_REGEX =
+  /(\d+(?:[.,]\d+)?)\s*(?:[°º]\s*([CF])\b|(?:(?:degrees?|grados)\s+)?(Celsius|Fahrenheit|cent[ií]grados)\b|(?:degrees?|grados)\s+([CF])\b)/gi;
+
+/**
+ * Convert every temperature mentioned in a text ("180°C", "350 degrees F")
+ * Oven temperatures are rounded to the nearest 5 degrees
+ * @param {string} text - Free text such as a step description
+ * @param {string} system - "metric" (°C) or "imperial" (°F)
+ */
+export const convertTemperatures = (text, system) => {
+  if (typeof text !== "string") return text;
+
+  return text.replace(TEMPERATURE_REGEX, (match, value, symbolUnit, wordUnit, letterUnit) => {
+    const scale = (symbolUnit || wordUnit || letterUnit)[0].toUpperCase() === "F" ? "F" : "C";
+    const degrees = Number.parseFloat(value.replace(",", "."));
+
+    if (system === "metric" && scale === "F") {
+      return `${Math.round(((degrees - 32) * 5) / 9 / 5) * 5}°C`;
+    }
+    if (system === "imperial" && scale === "C") {
+      return `${Math.round(((degrees * 9) / 5 + 32) / 5) * 5}°F`;
+    }
+    return match;
+  });
+};
+
+/**
+ * Convert an amount between two units of the same dimension
+ * @param {number} amount - Amount in the source unit
+ * @param {string|null} from - Source canonical unit
+ * @param {string|null} to - Target canonical unit
+ * @returns {number|null} Converted amount, or null when the units are incompatible
+ */
+export const convertBetweenUnits = (amount, from, to) => {
+  if (from === to) return amount;
+
+  const source = UNITS[from];
+  const target = UNITS[to];
+  if (!source?.dimension || source.dimension !== target?.dimension) return null;
+
+  return (amount * source.factor) / target.factor;
+};
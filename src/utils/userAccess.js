@@ -0,0 +1,123 @@
+import { supabaseAdmin } from "../config/db.js";
+
+/**
+ * Check whether one user has blocked another
+ * Uses the admin client: a blocked user cannot read the blocker's block list
+ * @param {string} blockerId - User who may have blocked
+ * @param {string|undefined} blockedId - User who may be blocked
+ * @returns {Promise<boolean>}
+ */
+export const hasBlocked = async (blockerId, blockedId) => {
+  if (!blockerId || !blockedId || blockerId === blockedId) return false;
+
+  const { data, error } = await supabaseAdmin
+    .from("user_blocks")
+    .select("blocker_id")
+    .eq("blocker_id", blockerId)
+    .eq("blocked_id", blockedId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data);
+};
+
+/**
+ * Users whose content is hidden from a viewer in listings, feeds and comments:
+ * the ones the viewer blocked or muted, and the ones who blocked the viewer
+ * @param {string|undefined} viewerId - Current user, if authenticated
+ * @returns {Promise<Array<string>>}
+ */
+export const fetchHiddenUserIds = async (viewerId) => {
+  if (!viewerId) return [];
+
+  const [blocks, blockedBy, mutes] = await Promise.all([
+    supabaseAdmin.from("user_blocks").select("blocked_id").eq("blocker_id", viewerId),
+    supabaseAdmin.from("user_blocks").select("blocker_id").eq("blocked_id", viewerId),
+    supabaseAdmin.from("user_mutes").select("muted_id").eq("muter_id", viewerId),
+  ]);
+
+  for (const result of [blocks, blockedBy, mutes]) {
+    if (result.error) throw result.error;
+  }
+
+  return [
+    ...new Set([
+      ...blocks.data.map((row) => row.blocked_id),
+      ...blockedBy.data.map((row) => row.blocker_id),
+      ...mutes.data.map((row) => row.muted_id),
+    ]),
+  ];
+};
+
+/**
+ * Users among the given owners whose content a viewer may see
+ * For reads made with the admin client on a user's behalf, where the computed
+ * author_visible columns are evaluated without a signed-in user
+ * @param {Array<string>} ownerIds - Content owners to check
+ * @param {string} viewerId - User the content is read for
+ * @returns {Promise<Set<string>>}
+ */
+export const fetchVisibleOwnerIds = async (ownerIds, viewerId) => {
+  const uniqueIds = [...new Set(ownerIds)];
+
+  const results = await Promise.all(
+    uniqueIds.map((ownerId) =>
+      supabaseAdmin.rpc("can_view_user_content", { p_owner_id: ownerId, p_viewer_id: viewerId })
+    )
+  );
+
+  const visible = new Set();
+  results.forEach(({ data, error }, index) => {
+    if (error) throw error;
+    if (data === true) visible.add(uniqueIds[index]);
+  });
+  return visible;
+};
+
+/**
+ * Exclude rows authored by the given users from a query
+ * @param {Object} query - Supabase query builder
+ * @param {Array<string>} userIds - Users to exclude
+ * @param {string} column - Author column (default user_id)
+ */
+export const excludeUsers = (query, userIds, column = "user_id") =>
+  userIds.length > 0 ? query.not(column, "in", `(${userIds.join(",")})`) : query;
+
+/**
+ * Check whether a viewer may see a user's recipes, collections and follow lists
+ * Public accounts are open to everyone; private ones only to their owner and
+ * approved followers. Nothing is shown to users the owner blocked
+ * @param {Object} client - Supabase client
+ * @param {string} ownerId - User whose content is requested
+ * @param {string|undefined} viewerId - Current user, if authenticated
+ * @returns {Promise<{status: number, message: string}|null>} Denial, or null when allowed
+ */
+export const checkUserContentAccess = async (client, ownerId, viewerId) => {
+  if (viewerId && viewerId === ownerId) return null;
+
+  if (await hasBlocked(ownerId, viewerId)) {
+    return { status: 404, message: "User not found" };
+  }
+
+  const { data: owner, error } = await client
+    .from("users")
+    .select("is_private")
+    .eq("id", ownerId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!owner?.is_private) return null;
+
+  const privateAccount = { status: 403, message: "This account is private" };
+  if (!viewerId) return privateAccount;
+
+  const { data: follow, error: followError } = await client
+    .from("user_followers")
+    .select("follower_id")
+    .eq("follower_id", viewerId)
+    .eq("following_id", ownerId)
+    .maybeSingle();
+
+  if (followError) throw followError;
+  return follow ? null : privateAccount;
+};
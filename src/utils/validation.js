@@ -0,0 +1,17 @@
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ISO_TIMESTAMP_REGEX =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{1,6})?(?:Z|[+-]\d{2}(?::?\d{2})?)$/;
+
+/**
+ * Check whether a value is a UUID, the format of every row id
+ * @param {*} value - Value to check
+ */
+export const isUuid = (value) => typeof value === "string" && UUID_REGEX.test(value);
+
+/**
+ * Check whether a value is an ISO 8601 timestamp such as the created_at
+ * values returned by the database ("2024-05-01T10:00:00.123456+00:00")
+ * @param {*} value - Value to check
+ */
+export const isIsoTimestamp = (value) =>
+  typeof value === "string" && ISO_TIMESTAMP_REGEX.test(value) && !Number.isNaN(Date.parse(value));
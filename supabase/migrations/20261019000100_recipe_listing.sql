@@ -0,0 +1,28 @@
+-- Computed columns used by GET /recipes to filter and sort in the database.
+-- PostgREST exposes a function taking a recipes row as a column of recipes.
+
+-- Ids of the recipe's tags, as text so ?tags can be matched with "contains"
+create or replace function public.tag_ids(public.recipes)
+returns text[]
+language sql
+stable
+as $$
+  select coalesce(array_agg(rt.tag_id::text), '{}')
+  from public.recipe_tags rt
+  where rt.recipe_id = $1.id;
+$$;
+
+-- Number of users who favorited the recipe. Favorites are private rows, so
+-- the count runs as the owner rather than through the caller's RLS.
+create or replace function public.favorites_count(public.recipes)
+returns bigint
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select count(*) from recipe_favorites where recipe_id = $1.id;
+$$;
+
+create index if not exists recipe_favorites_recipe_idx on public.recipe_favorites (recipe_id);
+create index if not exists recipe_tags_tag_idx on public.recipe_tags (tag_id);
@@ -0,0 +1,7 @@
+-- Structured ingredient quantities. quantity keeps the display string built
+-- from them ("1 1/2 tbsp"); rows written before this migration only have
+-- quantity and are parsed on the fly by the API.
+alter table public.ingredients
+  add column amount numeric check (amount >= 0),
+  add column unit text,
+  add column note text;
@@ -0,0 +1,28 @@
+-- Preferred unit system for displaying recipes; null keeps the units each
+-- recipe was written in.
+alter table public.users
+  add column unit_system text check (unit_system in ('metric', 'imperial'));
+
+-- The preference is copied into the auth user's metadata, which the API
+-- already receives with every authenticated request, so applying it to a
+-- listing needs no extra query.
+create or replace function public.sync_unit_system_metadata()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update auth.users
+  set raw_user_meta_data =
+    coalesce(raw_user_meta_data, '{}'::jsonb) || jsonb_build_object('unit_system', new.unit_system)
+  where id = new.id;
+  return new;
+end;
+$$;
+
+create trigger users_sync_unit_system
+  after update of unit_system on public.users
+  for each row
+  when (new.unit_system is distinct from old.unit_system)
+  execute function public.sync_unit_system_metadata();
@@ -0,0 +1,64 @@
+-- Shopping lists built from recipes, collections or the meal plan, plus items
+-- the user adds by hand. recipe_ids records which recipes an item came from.
+create table public.shopping_lists (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  name text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index shopping_lists_user_created_idx on public.shopping_lists (user_id, created_at desc);
+
+create table public.shopping_list_items (
+  id uuid primary key default gen_random_uuid(),
+  list_id uuid not null references public.shopping_lists (id) on delete cascade,
+  name text not null,
+  amount numeric check (amount >= 0),
+  unit text,
+  note text,
+  checked boolean not null default false,
+  is_manual boolean not null default false,
+  recipe_ids uuid[] not null default '{}',
+  position int not null default 0
+);
+
+create index shopping_list_items_list_idx on public.shopping_list_items (list_id, position);
+
+alter table public.shopping_lists enable row level security;
+alter table public.shopping_list_items enable row level security;
+
+create policy "Users manage their shopping lists" on public.shopping_lists
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+create policy "Users manage the items of their shopping lists" on public.shopping_list_items
+  for all
+  using (exists (select 1 from public.shopping_lists l where l.id = list_id and l.user_id = auth.uid()))
+  with check (exists (select 1 from public.shopping_lists l where l.id = list_id and l.user_id = auth.uid()));
+
+-- Creates a list for the caller with its items in a single transaction.
+-- p_items: [ shopping_list_items rows without list_id ]
+create or replace function public.create_shopping_list(p_name text, p_items jsonb)
+returns uuid
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_list_id uuid;
+begin
+  insert into shopping_lists (user_id, name)
+  values (auth.uid(), p_name)
+  returning id into v_list_id;
+
+  insert into shopping_list_items (list_id, name, amount, unit, note, checked, is_manual, recipe_ids, position)
+  select
+    v_list_id, i.name, i.amount, i.unit, i.note, coalesce(i.checked, false),
+    coalesce(i.is_manual, false), coalesce(i.recipe_ids, '{}'), coalesce(i.position, 0)
+  from jsonb_populate_recordset(null::shopping_list_items, coalesce(p_items, '[]'::jsonb)) as i;
+
+  return v_list_id;
+end;
+$$;
+
+grant execute on function public.create_shopping_list(text, jsonb) to authenticated;
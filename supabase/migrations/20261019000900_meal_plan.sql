@@ -0,0 +1,19 @@
+-- Weekly meal planner: one row per planned recipe, date and meal slot.
+-- servings defaults to the recipe's servings when the entry is created.
+create table public.meal_plan_entries (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  recipe_id uuid not null references public.recipes (id) on delete cascade,
+  date date not null,
+  slot text not null check (slot in ('breakfast', 'lunch', 'dinner', 'snack')),
+  servings int check (servings > 0),
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index meal_plan_entries_user_date_idx on public.meal_plan_entries (user_id, date);
+
+alter table public.meal_plan_entries enable row level security;
+
+create policy "Users manage their meal plan" on public.meal_plan_entries
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
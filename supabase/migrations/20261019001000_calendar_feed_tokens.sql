@@ -0,0 +1,12 @@
+-- Secret calendar feed URLs, one per user. Only a SHA-256 hash of the token
+-- is stored; the feed endpoint looks it up with the service role.
+create table public.calendar_feed_tokens (
+  user_id uuid primary key references public.users (id) on delete cascade,
+  token_hash text not null unique,
+  created_at timestamptz not null default now()
+);
+
+alter table public.calendar_feed_tokens enable row level security;
+
+create policy "Users manage their calendar feed" on public.calendar_feed_tokens
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
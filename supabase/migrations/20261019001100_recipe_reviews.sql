@@ -0,0 +1,40 @@
+-- Ratings and reviews, one per user and recipe. Authors cannot review their
+-- own recipes; the API enforces that along with recipe visibility.
+create table public.recipe_reviews (
+  id uuid primary key default gen_random_uuid(),
+  recipe_id uuid not null references public.recipes (id) on delete cascade,
+  user_id uuid not null references public.users (id) on delete cascade,
+  rating int not null check (rating between 1 and 5),
+  body text check (char_length(body) <= 2000),
+  photo_url text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (recipe_id, user_id)
+);
+
+create index recipe_reviews_recipe_created_idx on public.recipe_reviews (recipe_id, created_at desc);
+
+alter table public.recipe_reviews enable row level security;
+
+create policy "Reviews are readable by everyone" on public.recipe_reviews
+  for select using (true);
+
+create policy "Users write their own reviews" on public.recipe_reviews
+  for insert with check (auth.uid() = user_id);
+
+create policy "Users edit their own reviews" on public.recipe_reviews
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+create policy "Users delete their own reviews" on public.recipe_reviews
+  for delete using (auth.uid() = user_id);
+
+-- Average rating (one decimal) and number of ratings per reviewed recipe
+create view public.recipe_rating_stats
+with (security_invoker = true)
+as
+select
+  recipe_id,
+  round(avg(rating), 1) as average_rating,
+  count(*) as rating_count
+from public.recipe_reviews
+group by recipe_id;
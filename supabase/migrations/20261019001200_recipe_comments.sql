@@ -0,0 +1,35 @@
+-- Threaded comments on recipes, optionally anchored to a step. Threads are
+-- one level deep: replies point at a top-level comment. Steps keep their ids
+-- when a recipe is edited; a comment outlives a step that is removed.
+create table public.recipe_comments (
+  id uuid primary key default gen_random_uuid(),
+  recipe_id uuid not null references public.recipes (id) on delete cascade,
+  step_id uuid references public.steps (id) on delete set null,
+  parent_id uuid references public.recipe_comments (id) on delete cascade,
+  user_id uuid not null references public.users (id) on delete cascade,
+  body text not null check (char_length(body) between 1 and 2000),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index recipe_comments_recipe_created_idx
+  on public.recipe_comments (recipe_id, created_at desc, id desc)
+  where parent_id is null;
+create index recipe_comments_parent_idx on public.recipe_comments (parent_id);
+
+alter table public.recipe_comments enable row level security;
+
+create policy "Comments are readable by everyone" on public.recipe_comments
+  for select using (true);
+
+create policy "Users write their own comments" on public.recipe_comments
+  for insert with check (auth.uid() = user_id);
+
+create policy "Users edit their own comments" on public.recipe_comments
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+create policy "Authors and recipe owners delete comments" on public.recipe_comments
+  for delete using (
+    auth.uid() = user_id
+    or exists (select 1 from public.recipes r where r.id = recipe_id and r.user_id = auth.uid())
+  );
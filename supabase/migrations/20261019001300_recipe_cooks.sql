@@ -0,0 +1,70 @@
+-- Cooking log: one row each time a user cooks a recipe. Entries are private
+-- to the user who logged them.
+create table public.recipe_cooks (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  recipe_id uuid not null references public.recipes (id) on delete cascade,
+  cooked_on date not null default current_date,
+  notes text check (char_length(notes) <= 2000),
+  photo_url text,
+  servings int check (servings > 0),
+  rating int check (rating between 1 and 5),
+  created_at timestamptz not null default now()
+);
+
+create index recipe_cooks_user_cooked_idx on public.recipe_cooks (user_id, cooked_on desc, created_at desc);
+create index recipe_cooks_user_recipe_idx on public.recipe_cooks (user_id, recipe_id);
+
+alter table public.recipe_cooks enable row level security;
+
+create policy "Users manage their cooking log" on public.recipe_cooks
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+-- How many times, and when last, each user cooked each recipe
+create view public.recipe_cook_counts
+with (security_invoker = true)
+as
+select
+  user_id,
+  recipe_id,
+  count(*)::int as times_cooked,
+  max(cooked_on) as last_cooked_at
+from public.recipe_cooks
+group by user_id, recipe_id;
+
+-- Totals and streaks of the caller's cooking log. A streak is a run of
+-- consecutive days with at least one cook; the current one is still alive
+-- if its last day is today or yesterday.
+create or replace function public.cooking_stats()
+returns table (
+  total_cooks int,
+  distinct_recipes int,
+  last_cooked_at date,
+  current_streak int,
+  longest_streak int
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with days as (
+    select distinct cooked_on from recipe_cooks where user_id = auth.uid()
+  ),
+  streaks as (
+    select max(cooked_on) as last_day, count(*)::int as length
+    from (
+      select cooked_on, cooked_on - (row_number() over (order by cooked_on))::int as run
+      from days
+    ) as numbered
+    group by run
+  )
+  select
+    (select count(*)::int from recipe_cooks where user_id = auth.uid()),
+    (select count(distinct recipe_id)::int from recipe_cooks where user_id = auth.uid()),
+    (select max(last_day) from streaks),
+    coalesce((select max(length) from streaks where last_day >= current_date - 1), 0),
+    coalesce((select max(length) from streaks), 0);
+$$;
+
+grant execute on function public.cooking_stats() to authenticated;
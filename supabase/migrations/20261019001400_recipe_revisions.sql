@@ -0,0 +1,75 @@
+-- Recipe revision history: a snapshot of the complete recipe after every
+-- change, numbered per recipe. public_snapshot records whether the recipe was
+-- public when the snapshot was taken; only the owner sees the others.
+create table public.recipe_revisions (
+  id uuid primary key default gen_random_uuid(),
+  recipe_id uuid not null references public.recipes (id) on delete cascade,
+  revision_number int not null check (revision_number > 0),
+  snapshot jsonb not null,
+  public_snapshot boolean not null default false,
+  created_by uuid references public.users (id) on delete set null,
+  restored_from int,
+  created_at timestamptz not null default now(),
+  unique (recipe_id, revision_number)
+);
+
+alter table public.recipe_revisions enable row level security;
+
+create policy "Owners and viewers of public snapshots read revisions" on public.recipe_revisions
+  for select using (
+    public_snapshot
+    or exists (
+      select 1 from public.recipes r
+      where r.id = recipe_id and r.user_id = auth.uid()
+    )
+  );
+
+create policy "Owners record revisions" on public.recipe_revisions
+  for insert with check (
+    created_by = auth.uid()
+    and exists (
+      select 1 from public.recipes r
+      where r.id = recipe_id and r.user_id = auth.uid()
+    )
+  );
+
+-- Stores a snapshot as the recipe's next revision. The recipe row is locked
+-- first, so concurrent saves of the same recipe are numbered one after the
+-- other instead of both taking max + 1.
+create or replace function public.record_recipe_revision(
+  p_recipe_id uuid,
+  p_snapshot jsonb,
+  p_created_by uuid,
+  p_restored_from int default null
+)
+returns public.recipe_revisions
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_revision recipe_revisions;
+begin
+  perform 1 from recipes where id = p_recipe_id for update;
+  if not found then
+    raise exception 'Recipe % not found', p_recipe_id using errcode = 'P0002';
+  end if;
+
+  insert into recipe_revisions (recipe_id, revision_number, snapshot, public_snapshot, created_by, restored_from)
+  select
+    p_recipe_id,
+    coalesce(max(revision_number), 0) + 1,
+    p_snapshot,
+    coalesce((p_snapshot ->> 'is_public')::boolean, false)
+      and coalesce(p_snapshot ->> 'status', 'published') in ('published', 'scheduled'),
+    p_created_by,
+    p_restored_from
+  from recipe_revisions
+  where recipe_id = p_recipe_id
+  returning * into v_revision;
+
+  return v_revision;
+end;
+$$;
+
+grant execute on function public.record_recipe_revision(uuid, jsonb, uuid, int) to authenticated;
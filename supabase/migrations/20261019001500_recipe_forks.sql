@@ -0,0 +1,10 @@
+-- Fork origin of a recipe. The origin's name is copied at fork time so the
+-- fork can still credit it after the original recipe or its author is
+-- deleted; the references are cleared instead of deleting the fork.
+alter table public.recipes
+  add column forked_from_id uuid references public.recipes (id) on delete set null,
+  add column forked_from_user_id uuid references public.users (id) on delete set null,
+  add column forked_from_name text;
+
+create index recipes_forked_from_id_idx on public.recipes (forked_from_id)
+  where forked_from_id is not null;
@@ -0,0 +1,157 @@
+-- Creates or updates a recipe with its ingredients, steps and tags in a single
+-- transaction, so a failure at any stage leaves the recipe untouched.
+--
+-- p_recipe_id: null to create a recipe, or the id of the recipe to update
+-- p_payload:   {
+--                "recipe":      { recipes columns to set },
+--                "ingredients": [ ingredients rows ],   -- optional on update
+--                "steps":       [ steps rows ],         -- optional on update
+--                "tags":        [ { "tag_id": ... } ],  -- optional on update
+--                "revision":    { "created_by": ..., "restored_from": ... }  -- optional
+--              }
+-- Child collections present in the payload replace the existing rows; absent
+-- ones are left as they are. The saved recipe is recorded as a new revision in
+-- the same transaction. Runs as the caller, so RLS still applies.
+-- Complete recipe with its author, ingredients, steps and tags, as stored in
+-- recipe_revisions
+create or replace function public.recipe_snapshot(p_recipe_id uuid)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select to_jsonb(r) || jsonb_build_object(
+    'user', (
+      select jsonb_build_object('id', u.id, 'name', u.name, 'avatar_url', u.avatar_url)
+      from users u
+      where u.id = r.user_id
+    ),
+    'ingredients', coalesce((
+      select jsonb_agg(to_jsonb(i) - 'recipe_id' order by i."order", i.name)
+      from ingredients i
+      where i.recipe_id = r.id
+    ), '[]'::jsonb),
+    'steps', coalesce((
+      select jsonb_agg(to_jsonb(s) - 'recipe_id' order by s.step_number)
+      from steps s
+      where s.recipe_id = r.id
+    ), '[]'::jsonb),
+    'recipe_tags', coalesce((
+      select jsonb_agg(
+        jsonb_build_object(
+          'tag_id', rt.tag_id,
+          'tags', jsonb_build_object('id', t.id, 'name', t.name, 'color', t.color)
+        )
+        order by t.name
+      )
+      from recipe_tags rt
+      join tags t on t.id = rt.tag_id
+      where rt.recipe_id = r.id
+    ), '[]'::jsonb)
+  )
+  from recipes r
+  where r.id = p_recipe_id
+$$;
+
+create or replace function public.save_recipe(p_recipe_id uuid, p_payload jsonb)
+returns uuid
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_recipe_id uuid := p_recipe_id;
+  v_recipe jsonb := coalesce(p_payload -> 'recipe', '{}'::jsonb);
+  v_revision jsonb := coalesce(p_payload -> 'revision', '{}'::jsonb);
+  v_created_by uuid := coalesce((v_revision ->> 'created_by')::uuid, auth.uid());
+begin
+  if v_recipe_id is null then
+    insert into recipes (
+      user_id, name, description, prep_time, servings, difficulty, calories,
+      main_image_url, is_public, created_at,
+      forked_from_id, forked_from_user_id, forked_from_name
+    )
+    select
+      auth.uid(), r.name, coalesce(r.description, ''), r.prep_time, r.servings,
+      r.difficulty, r.calories, r.main_image_url, coalesce(r.is_public, false),
+      coalesce(r.created_at, now()),
+      r.forked_from_id, r.forked_from_user_id, r.forked_from_name
+    from jsonb_populate_record(null::recipes, v_recipe) as r
+    returning id into v_recipe_id;
+  else
+    perform 1 from recipes where id = v_recipe_id for update;
+    if not found then
+      raise exception 'Recipe % not found', v_recipe_id using errcode = 'P0002';
+    end if;
+
+    -- Recipes created before revision history get their current state as revision 1
+    if not exists (select 1 from recipe_revisions where recipe_id = v_recipe_id) then
+      perform record_recipe_revision(v_recipe_id, recipe_snapshot(v_recipe_id), v_created_by);
+    end if;
+
+    update recipes set
+      name = case when v_recipe ? 'name' then v_recipe ->> 'name' else name end,
+      description = case when v_recipe ? 'description' then v_recipe ->> 'description' else description end,
+      prep_time = case when v_recipe ? 'prep_time' then (v_recipe ->> 'prep_time')::int else prep_time end,
+      servings = case when v_recipe ? 'servings' then (v_recipe ->> 'servings')::int else servings end,
+      difficulty = case when v_recipe ? 'difficulty' then (v_recipe ->> 'difficulty')::int else difficulty end,
+      calories = case when v_recipe ? 'calories' then (v_recipe ->> 'calories')::int else calories end,
+      main_image_url = case when v_recipe ? 'main_image_url' then v_recipe ->> 'main_image_url' else main_image_url end,
+      is_public = case when v_recipe ? 'is_public' then (v_recipe ->> 'is_public')::boolean else is_public end
+    where id = v_recipe_id;
+  end if;
+
+  if p_payload ? 'ingredients' then
+    delete from ingredients where recipe_id = v_recipe_id;
+
+    insert into ingredients (recipe_id, name, quantity, amount, unit, note, optional, "order")
+    select v_recipe_id, i.name, i.quantity, i.amount, i.unit, i.note, coalesce(i.optional, false), i."order"
+    from jsonb_populate_recordset(null::ingredients, p_payload -> 'ingredients') as i;
+  end if;
+
+  -- Steps are matched on step_number and updated in place, so they keep
+  -- their ids, and the comments anchored to them, across edits and restores
+  if p_payload ? 'steps' then
+    delete from steps st
+    where st.recipe_id = v_recipe_id
+      and st.step_number not in (
+        select s.step_number
+        from jsonb_populate_recordset(null::steps, p_payload -> 'steps') as s
+        where s.step_number is not null
+      );
+
+    update steps st
+    set description = s.description, tip = s.tip, image_url = s.image_url
+    from jsonb_populate_recordset(null::steps, p_payload -> 'steps') as s
+    where st.recipe_id = v_recipe_id and st.step_number = s.step_number;
+
+    insert into steps (recipe_id, step_number, description, tip, image_url)
+    select v_recipe_id, s.step_number, s.description, s.tip, s.image_url
+    from jsonb_populate_recordset(null::steps, p_payload -> 'steps') as s
+    where not exists (
+      select 1 from steps st
+      where st.recipe_id = v_recipe_id and st.step_number = s.step_number
+    );
+  end if;
+
+  if p_payload ? 'tags' then
+    delete from recipe_tags where recipe_id = v_recipe_id;
+
+    insert into recipe_tags (recipe_id, tag_id)
+    select v_recipe_id, t.tag_id
+    from jsonb_populate_recordset(null::recipe_tags, p_payload -> 'tags') as t;
+  end if;
+
+  perform record_recipe_revision(
+    v_recipe_id,
+    recipe_snapshot(v_recipe_id),
+    v_created_by,
+    (v_revision ->> 'restored_from')::int
+  );
+
+  return v_recipe_id;
+end;
+$$;
+
+grant execute on function public.save_recipe(uuid, jsonb) to authenticated;
@@ -0,0 +1,117 @@
+-- Recipe publishing lifecycle: draft, scheduled, published or archived.
+-- Existing recipes are published. A scheduled recipe goes live once
+-- publish_at has passed; the API checks this at read time, so no job is
+-- needed to flip its status.
+alter table public.recipes
+  add column status text not null default 'published'
+    check (status in ('draft', 'scheduled', 'published', 'archived')),
+  add column publish_at timestamptz,
+  add constraint recipes_scheduled_publish_at
+    check (status <> 'scheduled' or publish_at is not null);
+
+create index recipes_status_publish_at_idx on public.recipes (status, publish_at);
+
+-- save_recipe now writes status and publish_at as well.
+create or replace function public.save_recipe(p_recipe_id uuid, p_payload jsonb)
+returns uuid
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_recipe_id uuid := p_recipe_id;
+  v_recipe jsonb := coalesce(p_payload -> 'recipe', '{}'::jsonb);
+  v_revision jsonb := coalesce(p_payload -> 'revision', '{}'::jsonb);
+  v_created_by uuid := coalesce((v_revision ->> 'created_by')::uuid, auth.uid());
+begin
+  if v_recipe_id is null then
+    insert into recipes (
+      user_id, name, description, prep_time, servings, difficulty, calories,
+      main_image_url, is_public, status, publish_at, created_at,
+      forked_from_id, forked_from_user_id, forked_from_name
+    )
+    select
+      auth.uid(), r.name, coalesce(r.description, ''), r.prep_time, r.servings,
+      r.difficulty, r.calories, r.main_image_url, coalesce(r.is_public, false),
+      coalesce(r.status, 'published'), r.publish_at, coalesce(r.created_at, now()),
+      r.forked_from_id, r.forked_from_user_id, r.forked_from_name
+    from jsonb_populate_record(null::recipes, v_recipe) as r
+    returning id into v_recipe_id;
+  else
+    perform 1 from recipes where id = v_recipe_id for update;
+    if not found then
+      raise exception 'Recipe % not found', v_recipe_id using errcode = 'P0002';
+    end if;
+
+    -- Recipes created before revision history get their current state as revision 1
+    if not exists (select 1 from recipe_revisions where recipe_id = v_recipe_id) then
+      perform record_recipe_revision(v_recipe_id, recipe_snapshot(v_recipe_id), v_created_by);
+    end if;
+
+    update recipes set
+      name = case when v_recipe ? 'name' then v_recipe ->> 'name' else name end,
+      description = case when v_recipe ? 'description' then v_recipe ->> 'description' else description end,
+      prep_time = case when v_recipe ? 'prep_time' then (v_recipe ->> 'prep_time')::int else prep_time end,
+      servings = case when v_recipe ? 'servings' then (v_recipe ->> 'servings')::int else servings end,
+      difficulty = case when v_recipe ? 'difficulty' then (v_recipe ->> 'difficulty')::int else difficulty end,
+      calories = case when v_recipe ? 'calories' then (v_recipe ->> 'calories')::int else calories end,
+      main_image_url = case when v_recipe ? 'main_image_url' then v_recipe ->> 'main_image_url' else main_image_url end,
+      is_public = case when v_recipe ? 'is_public' then (v_recipe ->> 'is_public')::boolean else is_public end,
+      status = case when v_recipe ? 'status' then v_recipe ->> 'status' else status end,
+      publish_at = case when v_recipe ? 'publish_at' then (v_recipe ->> 'publish_at')::timestamptz else publish_at end
+    where id = v_recipe_id;
+  end if;
+
+  if p_payload ? 'ingredients' then
+    delete from ingredients where recipe_id = v_recipe_id;
+
+    insert into ingredients (recipe_id, name, quantity, amount, unit, note, optional, "order")
+    select v_recipe_id, i.name, i.quantity, i.amount, i.unit, i.note, coalesce(i.optional, false), i."order"
+    from jsonb_populate_recordset(null::ingredients, p_payload -> 'ingredients') as i;
+  end if;
+
+  -- Steps are matched on step_number and updated in place, so they keep
+  -- their ids, and the comments anchored to them, across edits and restores
+  if p_payload ? 'steps' then
+    delete from steps st
+    where st.recipe_id = v_recipe_id
+      and st.step_number not in (
+        select s.step_number
+        from jsonb_populate_recordset(null::steps, p_payload -> 'steps') as s
+        where s.step_number is not null
+      );
+
+    update steps st
+    set description = s.description, tip = s.tip, image_url = s.image_url
+    from jsonb_populate_recordset(null::steps, p_payload -> 'steps') as s
+    where st.recipe_id = v_recipe_id and st.step_number = s.step_number;
+
+    insert into steps (recipe_id, step_number, description, tip, image_url)
+    select v_recipe_id, s.step_number, s.description, s.tip, s.image_url
+    from jsonb_populate_recordset(null::steps, p_payload -> 'steps') as s
+    where not exists (
+      select 1 from steps st
+      where st.recipe_id = v_recipe_id and st.step_number = s.step_number
+    );
+  end if;
+
+  if p_payload ? 'tags' then
+    delete from recipe_tags where recipe_id = v_recipe_id;
+
+    insert into recipe_tags (recipe_id, tag_id)
+    select v_recipe_id, t.tag_id
+    from jsonb_populate_recordset(null::recipe_tags, p_payload -> 'tags') as t;
+  end if;
+
+  perform record_recipe_revision(
+    v_recipe_id,
+    recipe_snapshot(v_recipe_id),
+    v_created_by,
+    (v_revision ->> 'restored_from')::int
+  );
+
+  return v_recipe_id;
+end;
+$$;
+
+grant execute on function public.save_recipe(uuid, jsonb) to authenticated;
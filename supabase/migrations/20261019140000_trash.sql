@@ -0,0 +1,9 @@
+-- Soft delete for recipes and collections. Deleting sets deleted_at and keeps
+-- every related row; the scheduled purge (GET /maintenance/purge-trash)
+-- removes items trashed longer than TRASH_RETENTION_DAYS, and CASCADE takes
+-- the related rows with them.
+alter table public.recipes add column deleted_at timestamptz;
+alter table public.collections add column deleted_at timestamptz;
+
+create index recipes_deleted_at_idx on public.recipes (deleted_at) where deleted_at is not null;
+create index collections_deleted_at_idx on public.collections (deleted_at) where deleted_at is not null;
@@ -0,0 +1,30 @@
+-- In-app notifications. Rows are created by the API with the service role
+-- (the actor cannot write into another user's inbox); recipients read and
+-- mark their own.
+create table public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  actor_id uuid references public.users (id) on delete cascade,
+  type text not null check (type in ('follow', 'favorite', 'collection_add', 'comment', 'review')),
+  recipe_id uuid references public.recipes (id) on delete cascade,
+  collection_id uuid references public.collections (id) on delete cascade,
+  comment_id uuid references public.recipe_comments (id) on delete cascade,
+  review_id uuid references public.recipe_reviews (id) on delete cascade,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index notifications_user_created_idx on public.notifications (user_id, created_at desc, id desc);
+create index notifications_user_unread_idx on public.notifications (user_id) where read_at is null;
+
+alter table public.notifications enable row level security;
+
+create policy "Users read their notifications" on public.notifications
+  for select using (auth.uid() = user_id);
+
+create policy "Users mark their notifications as read" on public.notifications
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+-- Notification types the user does not want to receive
+alter table public.users
+  add column muted_notification_types text[] not null default '{}';
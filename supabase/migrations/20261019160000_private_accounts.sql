@@ -0,0 +1,108 @@
+-- Private accounts: following them creates a request the owner accepts or
+-- rejects. Accepted requests become regular user_followers rows, written by
+-- the API with the service role.
+alter table public.users add column is_private boolean not null default false;
+
+create table public.follow_requests (
+  requester_id uuid not null references public.users (id) on delete cascade,
+  target_id uuid not null references public.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (requester_id, target_id),
+  check (requester_id <> target_id)
+);
+
+create index follow_requests_target_idx on public.follow_requests (target_id, created_at desc);
+
+alter table public.follow_requests enable row level security;
+
+create policy "Users see requests they sent or received" on public.follow_requests
+  for select using (auth.uid() in (requester_id, target_id));
+
+create policy "Users send their own requests" on public.follow_requests
+  for insert with check (auth.uid() = requester_id);
+
+create policy "Requesters withdraw and targets answer requests" on public.follow_requests
+  for delete using (auth.uid() in (requester_id, target_id));
+
+alter table public.notifications drop constraint notifications_type_check;
+alter table public.notifications add constraint notifications_type_check
+  check (type in ('follow', 'follow_request', 'favorite', 'collection_add', 'comment', 'review'));
+
+-- Making an account public again accepts the requests still pending, since
+-- anyone may now follow it directly.
+create or replace function public.accept_pending_follow_requests()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into user_followers (follower_id, following_id)
+  select requester_id, target_id
+  from follow_requests
+  where target_id = new.id
+  on conflict do nothing;
+
+  delete from follow_requests where target_id = new.id;
+
+  return new;
+end;
+$$;
+
+create trigger users_accept_follow_requests_on_public
+  after update of is_private on public.users
+  for each row
+  when (old.is_private and not new.is_private)
+  execute function public.accept_pending_follow_requests();
+
+-- Whether a user may see content owned by another user: always their own,
+-- and a private account's only once they follow it. Runs as definer so the
+-- check can read follow relations RLS hides from the caller. Taking the
+-- viewer explicitly lets the API check on a user's behalf with the service
+-- role, where auth.uid() is null; the one-argument form checks the caller.
+create or replace function public.can_view_user_content(p_owner_id uuid, p_viewer_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    coalesce(p_owner_id = p_viewer_id, false)
+    or not coalesce((select is_private from users where id = p_owner_id), false)
+    or exists (
+      select 1 from user_followers
+      where follower_id = p_viewer_id and following_id = p_owner_id
+    )
+$$;
+
+create or replace function public.can_view_user_content(p_owner_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.can_view_user_content(p_owner_id, auth.uid())
+$$;
+
+revoke execute on function public.can_view_user_content(uuid, uuid) from public, anon, authenticated;
+grant execute on function public.can_view_user_content(uuid, uuid) to service_role;
+grant execute on function public.can_view_user_content(uuid) to anon, authenticated;
+
+-- Computed author_visible columns, selectable and filterable through the API
+create or replace function public.author_visible(public.recipes)
+returns boolean
+language sql
+stable
+as $$
+  select public.can_view_user_content($1.user_id)
+$$;
+
+create or replace function public.author_visible(public.collections)
+returns boolean
+language sql
+stable
+as $$
+  select public.can_view_user_content($1.user_id)
+$$;
@@ -0,0 +1,54 @@
+-- Blocking hides the blocker's content from the blocked user and cuts follow
+-- relations both ways; muting only hides the muted user's content from the
+-- muter. Checks that involve someone else's blocks run with the service role
+-- or in security definer functions.
+create table public.user_blocks (
+  blocker_id uuid not null references public.users (id) on delete cascade,
+  blocked_id uuid not null references public.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (blocker_id, blocked_id),
+  check (blocker_id <> blocked_id)
+);
+
+create index user_blocks_blocked_idx on public.user_blocks (blocked_id);
+
+create table public.user_mutes (
+  muter_id uuid not null references public.users (id) on delete cascade,
+  muted_id uuid not null references public.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (muter_id, muted_id),
+  check (muter_id <> muted_id)
+);
+
+alter table public.user_blocks enable row level security;
+alter table public.user_mutes enable row level security;
+
+create policy "Users manage their blocks" on public.user_blocks
+  for all using (auth.uid() = blocker_id) with check (auth.uid() = blocker_id);
+
+create policy "Users manage their mutes" on public.user_mutes
+  for all using (auth.uid() = muter_id) with check (auth.uid() = muter_id);
+
+-- Content is also hidden from the users its owner blocked. The one-argument
+-- form delegates to this one, so the caller's check picks it up as well.
+create or replace function public.can_view_user_content(p_owner_id uuid, p_viewer_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    (
+      coalesce(p_owner_id = p_viewer_id, false)
+      or not coalesce((select is_private from users where id = p_owner_id), false)
+      or exists (
+        select 1 from user_followers
+        where follower_id = p_viewer_id and following_id = p_owner_id
+      )
+    )
+    and not exists (
+      select 1 from user_blocks
+      where blocker_id = p_owner_id and blocked_id = p_viewer_id
+    )
+$$;
@@ -0,0 +1,201 @@
+-- User roles, content reports and the moderation audit trail.
+
+alter table public.users
+  add column role text not null default 'user' check (role in ('user', 'admin')),
+  add column suspended_at timestamptz;
+
+-- Roles are only changed with the service role, never by the user themselves
+create or replace function public.protect_user_role()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.role is distinct from old.role and coalesce(auth.role(), '') <> 'service_role' then
+    raise exception 'role can only be changed by an administrator' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger users_protect_role
+  before update of role on public.users
+  for each row execute function public.protect_user_role();
+
+-- Content hidden by a moderator stays visible to its owner only
+alter table public.recipes add column hidden_at timestamptz;
+alter table public.collections add column hidden_at timestamptz;
+
+create table public.reports (
+  id uuid primary key default gen_random_uuid(),
+  reporter_id uuid not null references public.users (id) on delete cascade,
+  target_type text not null check (target_type in ('recipe', 'collection', 'user')),
+  target_id uuid not null,
+  image_url text,
+  reason text not null
+    check (reason in ('spam', 'offensive', 'harassment', 'copyright', 'inappropriate_image', 'other')),
+  details text,
+  status text not null default 'open' check (status in ('open', 'dismissed', 'actioned')),
+  resolution_action text,
+  resolution_note text,
+  resolved_by uuid references public.users (id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index reports_status_created_idx on public.reports (status, created_at);
+create index reports_target_idx on public.reports (target_type, target_id);
+
+alter table public.reports enable row level security;
+
+create policy "Users file reports" on public.reports
+  for insert with check (auth.uid() = reporter_id);
+
+create policy "Users see their own reports" on public.reports
+  for select using (auth.uid() = reporter_id);
+
+-- Audit trail; written and read by the API with the service role only
+create table public.moderation_actions (
+  id uuid primary key default gen_random_uuid(),
+  moderator_id uuid references public.users (id) on delete set null,
+  report_id uuid references public.reports (id) on delete set null,
+  action text not null,
+  target_type text not null,
+  target_id uuid not null,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index moderation_actions_created_idx on public.moderation_actions (created_at desc);
+
+alter table public.moderation_actions enable row level security;
+
+-- Applies a moderation decision in one transaction: the change to the
+-- content or account, the resolution of the report(s) and the audit row.
+-- With p_report_id the target is the reported content, and every open report
+-- on it is resolved; only that report when dismissing, and only the reports
+-- on the same image when removing one. Without a report the target is given
+-- directly (unhide_content, unsuspend_user). Suspensions apply to the owner
+-- of the target. Called by the API with the service role.
+create or replace function public.moderate_content(
+  p_action text,
+  p_moderator_id uuid,
+  p_note text default null,
+  p_report_id uuid default null,
+  p_target_type text default null,
+  p_target_id uuid default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_report reports;
+  v_target_type text := p_target_type;
+  v_target_id uuid := p_target_id;
+  v_table text;
+  v_image_column text;
+  v_user_id uuid;
+  v_removed int;
+  v_removed_steps int;
+begin
+  if p_report_id is not null then
+    select * into v_report from reports where id = p_report_id for update;
+    if not found then
+      raise exception 'Report % not found', p_report_id using errcode = 'P0002';
+    end if;
+    if v_report.status <> 'open' then
+      raise exception 'Report % has already been resolved', p_report_id using errcode = '55000';
+    end if;
+
+    v_target_type := v_report.target_type;
+    v_target_id := v_report.target_id;
+  end if;
+
+  v_table := case v_target_type
+    when 'recipe' then 'recipes'
+    when 'collection' then 'collections'
+    when 'user' then 'users'
+  end;
+  v_image_column := case v_target_type
+    when 'recipe' then 'main_image_url'
+    when 'collection' then 'cover_image_url'
+    when 'user' then 'avatar_url'
+  end;
+
+  if v_table is null or v_target_id is null then
+    raise exception 'A report or a target is required' using errcode = '22023';
+  end if;
+
+  case p_action
+    when 'hide_content', 'unhide_content' then
+      if v_target_type = 'user' then
+        raise exception 'Profiles cannot be hidden' using errcode = '22023';
+      end if;
+
+      execute format('update public.%I set hidden_at = $1 where id = $2', v_table)
+        using case when p_action = 'hide_content' then now() end, v_target_id;
+
+    when 'remove_image' then
+      if v_report.image_url is null then
+        raise exception 'The report is not about an image' using errcode = '22023';
+      end if;
+
+      execute format('update public.%I set %I = null where id = $1 and %I = $2', v_table, v_image_column, v_image_column)
+        using v_target_id, v_report.image_url;
+      get diagnostics v_removed = row_count;
+
+      -- Recipe images may also be step photos
+      if v_target_type = 'recipe' then
+        update steps set image_url = null
+        where recipe_id = v_target_id and image_url = v_report.image_url;
+        get diagnostics v_removed_steps = row_count;
+        v_removed := v_removed + v_removed_steps;
+      end if;
+
+      if v_removed = 0 then
+        raise exception 'The reported image is no longer in use' using errcode = '55000';
+      end if;
+
+    when 'suspend_user', 'unsuspend_user' then
+      if v_target_type = 'user' then
+        v_user_id := v_target_id;
+      else
+        execute format('select user_id from public.%I where id = $1', v_table)
+          into v_user_id using v_target_id;
+      end if;
+
+      update users
+      set suspended_at = case when p_action = 'suspend_user' then now() end
+      where id = v_user_id;
+
+      if not found then
+        raise exception 'User not found' using errcode = 'P0002';
+      end if;
+
+    when 'dismiss' then
+      null;
+
+    else
+      raise exception 'Unknown moderation action %', p_action using errcode = '22023';
+  end case;
+
+  if p_action = 'dismiss' then
+    update reports
+    set status = 'dismissed', resolution_note = p_note, resolved_by = p_moderator_id, resolved_at = now()
+    where id = p_report_id;
+  elsif p_report_id is not null then
+    update reports
+    set status = 'actioned', resolution_action = p_action, resolution_note = p_note,
+        resolved_by = p_moderator_id, resolved_at = now()
+    where target_type = v_target_type and target_id = v_target_id and status = 'open'
+      and (p_action <> 'remove_image' or image_url = v_report.image_url);
+  end if;
+
+  insert into moderation_actions (moderator_id, report_id, action, target_type, target_id, note)
+  values (p_moderator_id, p_report_id, p_action, v_target_type, v_target_id, p_note);
+end;
+$$;
+
+revoke execute on function public.moderate_content(text, uuid, text, uuid, text, uuid) from public, anon, authenticated;
+grant execute on function public.moderate_content(text, uuid, text, uuid, text, uuid) to service_role;
@@ -0,0 +1,41 @@
+-- Adds the moderator role between regular users and admins.
+-- What each role may do is defined by the API (src/utils/permissions.js).
+
+alter table public.users drop constraint users_role_check;
+
+alter table public.users
+  add constraint users_role_check check (role in ('user', 'moderator', 'admin'));
+
+-- Changes a user's role and records it in the audit trail in one
+-- transaction. Who may assign which role is checked by the API, which calls
+-- this with the service role.
+create or replace function public.set_user_role(
+  p_moderator_id uuid,
+  p_user_id uuid,
+  p_role text,
+  p_note text default null
+)
+returns public.users
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user users;
+begin
+  update users set role = p_role where id = p_user_id
+  returning * into v_user;
+
+  if not found then
+    raise exception 'User % not found', p_user_id using errcode = 'P0002';
+  end if;
+
+  insert into moderation_actions (moderator_id, action, target_type, target_id, note)
+  values (p_moderator_id, 'set_role:' || p_role, 'user', p_user_id, p_note);
+
+  return v_user;
+end;
+$$;
+
+revoke execute on function public.set_user_role(uuid, uuid, text, text) from public, anon, authenticated;
+grant execute on function public.set_user_role(uuid, uuid, text, text) to service_role;
@@ -0,0 +1,121 @@
+-- Tag administration: one translation per tag and language, tag names unique
+-- regardless of case, and creating, merging and deleting tags.
+
+-- Keep a single translation per tag and language before enforcing it
+delete from public.tag_translations a
+using public.tag_translations b
+where a.tag_id = b.tag_id
+  and a.language_code = b.language_code
+  and a.ctid > b.ctid;
+
+create unique index if not exists tag_translations_tag_language_idx
+  on public.tag_translations (tag_id, language_code);
+
+-- Moves the recipes of p_source_id, and the translations p_target_id lacks,
+-- onto p_target_id, then deletes p_source_id, in a single transaction.
+-- Called by the API with the service role only.
+create or replace function public.merge_tags(
+  p_source_id public.tags.id%type,
+  p_target_id public.tags.id%type
+)
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  insert into recipe_tags (recipe_id, tag_id)
+  select rt.recipe_id, p_target_id
+  from recipe_tags rt
+  where rt.tag_id = p_source_id
+    and not exists (
+      select 1 from recipe_tags existing
+      where existing.recipe_id = rt.recipe_id and existing.tag_id = p_target_id
+    );
+
+  insert into tag_translations (tag_id, language_code, name)
+  select p_target_id, tt.language_code, tt.name
+  from tag_translations tt
+  where tt.tag_id = p_source_id
+  on conflict (tag_id, language_code) do nothing;
+
+  delete from recipe_tags where tag_id = p_source_id;
+  delete from tag_translations where tag_id = p_source_id;
+  delete from tags where id = p_source_id;
+
+  if not found then
+    raise exception 'Tag % not found', p_source_id using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+revoke execute on function public.merge_tags from public, anon, authenticated;
+
+-- Tags whose names only differ in case are merged into the first one, so the
+-- names can be made unique
+do $$
+declare
+  v_tag record;
+begin
+  for v_tag in
+    select id, first_value(id) over (partition by lower(name) order by id) as keep_id
+    from public.tags
+  loop
+    if v_tag.id <> v_tag.keep_id then
+      perform public.merge_tags(v_tag.id, v_tag.keep_id);
+    end if;
+  end loop;
+end;
+$$;
+
+create unique index tags_name_lower_idx on public.tags (lower(name));
+
+-- Creates a tag with its translations ({ "language_code": "name", ... }) in a
+-- single transaction. Called by the API with the service role only.
+create or replace function public.create_tag(
+  p_name text,
+  p_color text,
+  p_translations jsonb default '{}'::jsonb
+)
+returns public.tags
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_tag tags;
+begin
+  insert into tags (name, color)
+  values (p_name, p_color)
+  returning * into v_tag;
+
+  insert into tag_translations (tag_id, language_code, name)
+  select v_tag.id, t.key, t.value
+  from jsonb_each_text(coalesce(p_translations, '{}'::jsonb)) as t;
+
+  return v_tag;
+end;
+$$;
+
+revoke execute on function public.create_tag from public, anon, authenticated;
+
+-- Deletes a tag along with its recipe links and translations, in a single
+-- transaction. Called by the API with the service role only.
+create or replace function public.delete_tag(p_tag_id public.tags.id%type)
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  delete from recipe_tags where tag_id = p_tag_id;
+  delete from tag_translations where tag_id = p_tag_id;
+  delete from tags where id = p_tag_id;
+
+  if not found then
+    raise exception 'Tag % not found', p_tag_id using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+revoke execute on function public.delete_tag from public, anon, authenticated;
@@ -0,0 +1,102 @@
+-- Ingredient matching for POST /recipes/match, done in the database so
+-- candidates can be filtered, ranked and paginated there.
+
+-- Singular form of an English or Spanish plural ("apples" -> "apple",
+-- "berries" -> "berry", "limones" -> "limon"). Mirrors stemWord in
+-- src/utils/ingredients.js.
+create or replace function public.stem_ingredient_word(p_word text)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when length(p_word) <= 3 or p_word ~ '(ss|us)$' then p_word
+    when p_word ~ '..ies$' then regexp_replace(p_word, 'ies$', 'y')
+    when p_word ~ '(oes|ches|shes|xes|zes|ones|[aeiou]res)$' then regexp_replace(p_word, 'es$', '')
+    else regexp_replace(p_word, 's$', '')
+  end;
+$$;
+
+-- Lowercase, unaccented, singular words of an ingredient name joined by
+-- spaces ("Tomates Cherry" -> "tomate cherry"). Mirrors normalizeIngredientName.
+create or replace function public.normalize_ingredient_name(p_name text)
+returns text
+language sql
+immutable
+as $$
+  select coalesce(string_agg(public.stem_ingredient_word(word), ' ' order by position), '')
+  from regexp_split_to_table(
+    regexp_replace(
+      translate(lower(coalesce(p_name, '')), 'áàâäãåéèêëíìîïóòôöõúùûüñçý', 'aaaaaaeeeeiiiiooooouuuuncy'),
+      '[^a-z0-9[:space:]]', ' ', 'g'
+    ),
+    '[[:space:]]+'
+  ) with ordinality as words (word, position)
+  where word <> '';
+$$;
+
+alter table public.ingredients
+  add column name_key text generated always as (public.normalize_ingredient_name(name)) stored;
+
+-- Recipes with at least one required ingredient covered by the pantry, with
+-- how many are covered and which are missing. A pantry item covers an
+-- ingredient when its words appear consecutively in the ingredient name
+-- ("olive oil" covers "extra virgin olive oil").
+-- Returns the recipe columns the API filters visibility on, so the caller
+-- applies the same filters, ordering and range as on the recipes table.
+create or replace function public.match_recipes(p_pantry text[])
+returns table (
+  id uuid,
+  user_id uuid,
+  is_public boolean,
+  status text,
+  publish_at timestamptz,
+  deleted_at timestamptz,
+  hidden_at timestamptz,
+  created_at timestamptz,
+  author_visible boolean,
+  matched_count int,
+  required_count int,
+  missing_count int,
+  missing_ingredients text[]
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with pantry as (
+    select distinct normalize_ingredient_name(item) as item_key
+    from unnest(p_pantry) as item
+  ),
+  required as (
+    select
+      i.recipe_id,
+      i.name,
+      i."order",
+      exists (
+        select 1 from pantry p
+        where p.item_key <> ''
+          and ' ' || i.name_key || ' ' like '% ' || p.item_key || ' %'
+      ) as matched
+    from ingredients i
+    where not i.optional
+  ),
+  stats as (
+    select
+      recipe_id,
+      (count(*) filter (where matched))::int as matched_count,
+      count(*)::int as required_count,
+      coalesce(array_agg(name order by "order") filter (where not matched), '{}') as missing_ingredients
+    from required
+    group by recipe_id
+  )
+  select
+    r.id, r.user_id, r.is_public, r.status, r.publish_at, r.deleted_at, r.hidden_at, r.created_at,
+    public.author_visible(r), s.matched_count, s.required_count, s.required_count - s.matched_count, s.missing_ingredients
+  from stats s
+  join recipes r on r.id = s.recipe_id
+  where s.matched_count > 0;
+$$;
+
+grant execute on function public.match_recipes(text[]) to anon, authenticated;
@@ -0,0 +1,78 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createDatabase, signInAs } from "./helpers/database.js";
+
+const VIEWER_ID = "00000000-0000-4000-8000-000000000001";
+const FOLLOWED_ID = "00000000-0000-4000-8000-000000000002";
+const STRANGER_ID = "00000000-0000-4000-8000-000000000003";
+const BLOCKER_ID = "00000000-0000-4000-8000-000000000004";
+
+describe("can_view_user_content", () => {
+  let db;
+
+  const canView = async (ownerId, viewerId) => {
+    const { rows } = await db.query("select public.can_view_user_content($1, $2) as visible", [ownerId, viewerId]);
+    return rows[0].visible;
+  };
+
+  const callerCanView = async (ownerId) => {
+    const { rows } = await db.query("select public.can_view_user_content($1) as visible", [ownerId]);
+    return rows[0].visible;
+  };
+
+  before(async () => {
+    db = await createDatabase();
+    await db.query(
+      `insert into public.users (id, name, is_private) values
+        ($1, 'Viewer', false), ($2, 'Followed', true), ($3, 'Stranger', true), ($4, 'Blocker', false)`,
+      [VIEWER_ID, FOLLOWED_ID, STRANGER_ID, BLOCKER_ID]
+    );
+    await db.query("insert into public.user_followers (follower_id, following_id) values ($1, $2)", [
+      VIEWER_ID,
+      FOLLOWED_ID,
+    ]);
+    await db.query("insert into public.user_blocks (blocker_id, blocked_id) values ($1, $2)", [
+      BLOCKER_ID,
+      VIEWER_ID,
+    ]);
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  describe("for an explicit viewer, without a signed-in user", () => {
+    it("shows a private account's content to its followers", async () => {
+      assert.equal(await canView(FOLLOWED_ID, VIEWER_ID), true);
+    });
+
+    it("hides a private account's content from everyone else", async () => {
+      assert.equal(await canView(STRANGER_ID, VIEWER_ID), false);
+    });
+
+    it("hides content from the users its owner blocked", async () => {
+      assert.equal(await canView(BLOCKER_ID, VIEWER_ID), false);
+      assert.equal(await canView(BLOCKER_ID, STRANGER_ID), true);
+    });
+
+    it("always shows users their own content", async () => {
+      assert.equal(await canView(STRANGER_ID, STRANGER_ID), true);
+    });
+  });
+
+  describe("for the signed-in user", () => {
+    before(async () => {
+      await signInAs(db, VIEWER_ID);
+    });
+
+    after(async () => {
+      await signInAs(db, "");
+    });
+
+    it("applies the same rules to the caller", async () => {
+      assert.equal(await callerCanView(FOLLOWED_ID), true);
+      assert.equal(await callerCanView(STRANGER_ID), false);
+      assert.equal(await callerCanView(BLOCKER_ID), false);
+    });
+  });
+});
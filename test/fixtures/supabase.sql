@@ -0,0 +1,114 @@
+-- Stand-ins for what Supabase provides, plus the tables that predate
+-- supabase/migrations, so the migrations can be applied to an empty database.
+
+create role anon nologin;
+create role authenticated nologin;
+create role service_role nologin bypassrls;
+
+create schema auth;
+
+create table auth.users (
+  id uuid primary key,
+  raw_user_meta_data jsonb
+);
+
+create function auth.uid() returns uuid
+language sql stable
+as $$ select nullif(current_setting('request.jwt.claim.sub', true), '')::uuid $$;
+
+create function auth.role() returns text
+language sql stable
+as $$ select nullif(current_setting('request.jwt.claim.role', true), '') $$;
+
+create table public.users (
+  id uuid primary key default gen_random_uuid(),
+  name text,
+  username text unique,
+  avatar_url text,
+  location text,
+  bio text,
+  created_at timestamptz not null default now()
+);
+
+create table public.recipes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  name text not null,
+  description text,
+  prep_time int,
+  servings int,
+  difficulty int,
+  calories int,
+  main_image_url text,
+  is_public boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create table public.ingredients (
+  id uuid primary key default gen_random_uuid(),
+  recipe_id uuid not null references public.recipes (id) on delete cascade,
+  name text not null,
+  quantity text,
+  optional boolean not null default false,
+  "order" int
+);
+
+create table public.steps (
+  id uuid primary key default gen_random_uuid(),
+  recipe_id uuid not null references public.recipes (id) on delete cascade,
+  step_number int not null,
+  description text not null,
+  tip text,
+  image_url text
+);
+
+create table public.tags (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  color text
+);
+
+create table public.tag_translations (
+  id uuid primary key default gen_random_uuid(),
+  tag_id uuid not null references public.tags (id) on delete cascade,
+  language_code text not null,
+  name text not null
+);
+
+create table public.recipe_tags (
+  recipe_id uuid not null references public.recipes (id) on delete cascade,
+  tag_id uuid not null references public.tags (id) on delete cascade,
+  primary key (recipe_id, tag_id)
+);
+
+create table public.collections (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  name text not null,
+  description text,
+  cover_image_url text,
+  is_public boolean not null default false,
+  is_default boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create table public.collection_recipes (
+  collection_id uuid not null references public.collections (id) on delete cascade,
+  recipe_id uuid not null references public.recipes (id) on delete cascade,
+  added_at timestamptz not null default now(),
+  primary key (collection_id, recipe_id)
+);
+
+create table public.recipe_favorites (
+  user_id uuid not null references public.users (id) on delete cascade,
+  recipe_id uuid not null references public.recipes (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (user_id, recipe_id)
+);
+
+create table public.user_followers (
+  follower_id uuid not null references public.users (id) on delete cascade,
+  following_id uuid not null references public.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (follower_id, following_id)
+);
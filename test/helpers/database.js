@@ -0,0 +1,60 @@
+import { PGlite } from "@electric-sql/pglite";
+import { readFileSync, readdirSync } from "node:fs";
+
+const FIXTURE = new URL("../fixtures/supabase.sql", import.meta.url);
+const MIGRATIONS_DIR = new URL("../../supabase/migrations/", import.meta.url);
+
+/**
+ * Creates an in-memory Postgres database with every migration applied
+ * on top of the Supabase stand-ins in test/fixtures/supabase.sql
+ * @returns {Promise<PGlite>}
+ */
+export const createDatabase = async () => {
+  const db = new PGlite();
+  await db.exec(readFileSync(FIXTURE, "utf8"));
+
+  const migrations = readdirSync(MIGRATIONS_DIR).filter((file) => file.endsWith(".sql")).sort();
+  for (const file of migrations) {
+    try {
+      await db.exec(readFileSync(new URL(file, MIGRATIONS_DIR), "utf8"));
+    } catch (error) {
+      error.message = `${file}: ${error.message}`;
+      throw error;
+    }
+  }
+
+  return db;
+};
+
+/**
+ * Makes auth.uid() return the given user, as a signed-in request would
+ */
+export const signInAs = (db, userId) =>
+  db.query("select set_config('request.jwt.claim.sub', $1, false)", [userId]);
+
+/**
+ * Makes every insert into (or update of) a table fail until the returned
+ * function is called
+ * @param {string} table - Table in the public schema
+ * @param {string} operation - "insert" or "update"
+ * @returns {Promise<Function>} Removes the injected failure
+ */
+export const injectFailure = async (db, table, operation = "insert") => {
+  const name = `fail_${table}_${operation}`;
+
+  await db.exec(`
+    create function public.${name}() returns trigger language plpgsql as $$
+    begin
+      raise exception 'injected failure on % %', tg_op, tg_table_name;
+    end;
+    $$;
+    create trigger ${name} before ${operation} on public.${table}
+      for each row execute function public.${name}();
+  `);
+
+  return () =>
+    db.exec(`
+      drop trigger ${name} on public.${table};
+      drop function public.${name}();
+    `);
+};
@@ -0,0 +1,95 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createDatabase } from "./helpers/database.js";
+
+const MODERATOR_ID = "00000000-0000-4000-8000-000000000001";
+const AUTHOR_ID = "00000000-0000-4000-8000-000000000002";
+const REPORTER_ID = "00000000-0000-4000-8000-000000000003";
+
+const MAIN_IMAGE = "https://images.example/main.jpg";
+const STEP_IMAGE = "https://images.example/step.jpg";
+
+describe("moderate_content", () => {
+  let db;
+
+  const createRecipe = async () => {
+    const { rows } = await db.query(
+      "insert into public.recipes (user_id, name, main_image_url) values ($1, 'Paella', $2) returning id",
+      [AUTHOR_ID, MAIN_IMAGE]
+    );
+    await db.query(
+      "insert into public.steps (recipe_id, step_number, description, image_url) values ($1, 1, 'Add the rice', $2)",
+      [rows[0].id, STEP_IMAGE]
+    );
+    return rows[0].id;
+  };
+
+  const fileReport = async (recipeId, reason, imageUrl = null) => {
+    const { rows } = await db.query(
+      "insert into public.reports (reporter_id, target_type, target_id, reason, image_url) values ($1, 'recipe', $2, $3, $4) returning id",
+      [REPORTER_ID, recipeId, reason, imageUrl]
+    );
+    return rows[0].id;
+  };
+
+  const removeImage = (reportId) =>
+    db.query("select public.moderate_content('remove_image', $1, null, $2)", [MODERATOR_ID, reportId]);
+
+  const reportStatuses = async (recipeId) => {
+    const { rows } = await db.query(
+      "select reason, image_url, status, resolution_action from public.reports where target_id = $1 order by reason, image_url",
+      [recipeId]
+    );
+    return rows.map(({ reason, image_url, status, resolution_action }) => [reason, image_url, status, resolution_action]);
+  };
+
+  before(async () => {
+    db = await createDatabase();
+    await db.query(
+      "insert into public.users (id, name) values ($1, 'Moderator'), ($2, 'Author'), ($3, 'Reporter')",
+      [MODERATOR_ID, AUTHOR_ID, REPORTER_ID]
+    );
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it("resolves only the reports on the removed image", async () => {
+    const recipeId = await createRecipe();
+    const reportId = await fileReport(recipeId, "inappropriate_image", STEP_IMAGE);
+    await fileReport(recipeId, "copyright", STEP_IMAGE);
+    await fileReport(recipeId, "inappropriate_image", MAIN_IMAGE);
+    await fileReport(recipeId, "spam");
+
+    await removeImage(reportId);
+
+    const { rows } = await db.query(
+      "select r.main_image_url, s.image_url as step_image_url from public.recipes r join public.steps s on s.recipe_id = r.id where r.id = $1",
+      [recipeId]
+    );
+    assert.deepEqual(rows[0], { main_image_url: MAIN_IMAGE, step_image_url: null });
+    assert.deepEqual(await reportStatuses(recipeId), [
+      ["copyright", STEP_IMAGE, "actioned", "remove_image"],
+      ["inappropriate_image", MAIN_IMAGE, "open", null],
+      ["inappropriate_image", STEP_IMAGE, "actioned", "remove_image"],
+      ["spam", null, "open", null],
+    ]);
+  });
+
+  it("rejects removing an image that is no longer in use", async () => {
+    const recipeId = await createRecipe();
+    const reportId = await fileReport(recipeId, "inappropriate_image", MAIN_IMAGE);
+    await db.query("update public.recipes set main_image_url = 'https://images.example/new.jpg' where id = $1", [
+      recipeId,
+    ]);
+
+    await assert.rejects(removeImage(reportId), /no longer in use/);
+    assert.deepEqual(await reportStatuses(recipeId), [["inappropriate_image", MAIN_IMAGE, "open", null]]);
+
+    const { rows } = await db.query("select count(*)::int as count from public.moderation_actions where report_id = $1", [
+      reportId,
+    ]);
+    assert.equal(rows[0].count, 0);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mapSchemaRecipe } from "../src/utils/recipeImport.js";
+
+describe("mapSchemaRecipe", () => {
+  it("decodes named and numeric HTML entities", () => {
+    const recipe = mapSchemaRecipe({
+      "@type": "Recipe",
+      name: "Mac &amp; cheese &#127837; &#x1F9C0;",
+      description: "<p>Creamy&nbsp;and <b>cheesy</b></p>",
+    });
+
+    assert.equal(recipe.name, "Mac & cheese \u{1F35D} \u{1F9C0}");
+    assert.equal(recipe.description, "Creamy and cheesy");
+  });
+
+  it("keeps numeric entities outside the Unicode range as text", () => {
+    const recipe = mapSchemaRecipe({ "@type": "Recipe", name: "Soup &#99999999; &#x110000;" });
+
+    assert.equal(recipe.name, "Soup &#99999999; &#x110000;");
+  });
+});
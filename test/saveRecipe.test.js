@@ -0,0 +1,245 @@
+import { describe, it, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createDatabase, signInAs, injectFailure } from "./helpers/database.js";
+
+const USER_ID = "00000000-0000-4000-8000-000000000001";
+const TAG_ID = "00000000-0000-4000-8000-0000000000aa";
+
+const payload = (overrides = {}) => ({
+  recipe: {
+    name: "Tortilla",
+    description: "Potato omelette",
+    prep_time: 30,
+    servings: 4,
+    difficulty: 2,
+    is_public: true,
+    status: "published",
+  },
+  ingredients: [
+    { name: "eggs", quantity: "6", amount: 6, optional: false, order: 0 },
+    { name: "potatoes", quantity: "500 g", amount: 500, unit: "g", optional: false, order: 1 },
+  ],
+  steps: [{ step_number: 1, description: "Fry the potatoes" }],
+  tags: [{ tag_id: TAG_ID }],
+  revision: { created_by: USER_ID },
+  ...overrides,
+});
+
+// Tables save_recipe writes to, and the operation that hits each of them
+const CREATE_STAGES = [
+  ["recipes", "insert"],
+  ["ingredients", "insert"],
+  ["steps", "insert"],
+  ["recipe_tags", "insert"],
+  ["recipe_revisions", "insert"],
+];
+
+const UPDATE_STAGES = [
+  ["recipes", "update"],
+  ["ingredients", "insert"],
+  ["steps", "update"],
+  ["steps", "insert"],
+  ["recipe_tags", "insert"],
+  ["recipe_revisions", "insert"],
+];
+
+describe("save_recipe", () => {
+  let db;
+  let removeFailure = null;
+
+  const saveRecipe = async (recipeId, body) => {
+    const { rows } = await db.query("select public.save_recipe($1, $2) as id", [recipeId, body]);
+    return rows[0].id;
+  };
+
+  const countRows = async () => {
+    const counts = {};
+    for (const table of ["recipes", "ingredients", "steps", "recipe_tags", "recipe_revisions"]) {
+      const { rows } = await db.query(`select count(*)::int as count from public.${table}`);
+      counts[table] = rows[0].count;
+    }
+    return counts;
+  };
+
+  const snapshot = async (recipeId) => {
+    const { rows } = await db.query("select public.recipe_snapshot($1) as snapshot", [recipeId]);
+    return rows[0].snapshot;
+  };
+
+  const revisionNumbers = async (recipeId) => {
+    const { rows } = await db.query(
+      "select revision_number from public.recipe_revisions where recipe_id = $1 order by revision_number",
+      [recipeId]
+    );
+    return rows.map((row) => row.revision_number);
+  };
+
+  before(async () => {
+    db = await createDatabase();
+    await db.query("insert into public.users (id, name) values ($1, 'Cook')", [USER_ID]);
+    await db.query("insert into public.tags (id, name, color) values ($1, 'Spanish', '#ff8800')", [TAG_ID]);
+    await signInAs(db, USER_ID);
+  });
+
+  afterEach(async () => {
+    if (removeFailure) await removeFailure();
+    removeFailure = null;
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it("creates a recipe with its children and records revision 1", async () => {
+    const id = await saveRecipe(null, payload());
+    const saved = await snapshot(id);
+
+    assert.equal(saved.user_id, USER_ID);
+    assert.equal(saved.ingredients.length, 2);
+    assert.equal(saved.steps.length, 1);
+    assert.deepEqual(saved.recipe_tags.map((rt) => rt.tag_id), [TAG_ID]);
+    assert.deepEqual(await revisionNumbers(id), [1]);
+  });
+
+  it("records each update and restore as the next revision", async () => {
+    const id = await saveRecipe(null, payload());
+    await saveRecipe(id, { recipe: { name: "Spanish tortilla" } });
+    await saveRecipe(id, { recipe: { name: "Tortilla" }, revision: { restored_from: 1 } });
+
+    const { rows } = await db.query(
+      "select revision_number, restored_from, snapshot ->> 'name' as name, created_by from public.recipe_revisions where recipe_id = $1 order by revision_number",
+      [id]
+    );
+
+    assert.deepEqual(
+      rows.map(({ revision_number, restored_from, name, created_by }) => [revision_number, restored_from, name, created_by]),
+      [
+        [1, null, "Tortilla", USER_ID],
+        [2, null, "Spanish tortilla", USER_ID],
+        [3, 1, "Tortilla", USER_ID],
+      ]
+    );
+  });
+
+  it("records the state of a recipe without history before its first update", async () => {
+    const { rows } = await db.query(
+      "insert into public.recipes (user_id, name) values ($1, 'Gazpacho') returning id",
+      [USER_ID]
+    );
+    const id = rows[0].id;
+
+    await saveRecipe(id, { recipe: { name: "Andalusian gazpacho" } });
+
+    const { rows: revisions } = await db.query(
+      "select snapshot ->> 'name' as name from public.recipe_revisions where recipe_id = $1 order by revision_number",
+      [id]
+    );
+    assert.deepEqual(revisions.map((revision) => revision.name), ["Gazpacho", "Andalusian gazpacho"]);
+  });
+
+  it("marks snapshots of private recipes as private", async () => {
+    const id = await saveRecipe(null, payload());
+    await saveRecipe(id, { recipe: { is_public: false } });
+
+    const { rows } = await db.query(
+      "select public_snapshot from public.recipe_revisions where recipe_id = $1 order by revision_number",
+      [id]
+    );
+    assert.deepEqual(rows.map((row) => row.public_snapshot), [true, false]);
+  });
+
+  for (const [table, operation] of CREATE_STAGES) {
+    it(`stores nothing when creating fails on ${table}`, async () => {
+      const before = await countRows();
+      removeFailure = await injectFailure(db, table, operation);
+
+      await assert.rejects(saveRecipe(null, payload()), /injected failure/);
+      assert.deepEqual(await countRows(), before);
+    });
+  }
+
+  for (const [table, operation] of UPDATE_STAGES) {
+    it(`leaves the recipe untouched when updating fails on ${operation} of ${table}`, async () => {
+      const id = await saveRecipe(null, payload());
+      const original = await snapshot(id);
+      removeFailure = await injectFailure(db, table, operation);
+
+      await assert.rejects(
+        saveRecipe(
+          id,
+          payload({
+            recipe: { name: "Changed" },
+            ingredients: [{ name: "onion", quantity: "1", amount: 1, optional: false, order: 0 }],
+            steps: [
+              { step_number: 1, description: "Chop the onion" },
+              { step_number: 2, description: "Fry the onion" },
+            ],
+          })
+        ),
+        /injected failure/
+      );
+
+      assert.deepEqual(await snapshot(id), original);
+      assert.deepEqual(await revisionNumbers(id), [1]);
+    });
+  }
+
+  it("keeps step ids, and the comments anchored to them, across edits and restores", async () => {
+    const id = await saveRecipe(
+      null,
+      payload({
+        steps: [
+          { step_number: 1, description: "Fry the potatoes" },
+          { step_number: 2, description: "Beat the eggs" },
+        ],
+      })
+    );
+    const { rows: steps } = await db.query(
+      "select id, step_number from public.steps where recipe_id = $1 order by step_number",
+      [id]
+    );
+    const { rows: comments } = await db.query(
+      "insert into public.recipe_comments (recipe_id, step_id, user_id, body) values ($1, $2, $3, 'Which oil?') returning id",
+      [id, steps[0].id, USER_ID]
+    );
+
+    await saveRecipe(id, {
+      steps: [
+        { step_number: 1, description: "Fry the potatoes in olive oil" },
+        { step_number: 3, description: "Set the omelette" },
+      ],
+    });
+    await saveRecipe(id, {
+      steps: [
+        { step_number: 1, description: "Fry the potatoes" },
+        { step_number: 2, description: "Beat the eggs" },
+      ],
+      revision: { restored_from: 1 },
+    });
+
+    const { rows: after } = await db.query(
+      "select id, step_number, description from public.steps where recipe_id = $1 order by step_number",
+      [id]
+    );
+    assert.deepEqual(
+      after.map((step) => [step.step_number, step.description]),
+      [
+        [1, "Fry the potatoes"],
+        [2, "Beat the eggs"],
+      ]
+    );
+    assert.equal(after[0].id, steps[0].id);
+
+    const { rows: anchored } = await db.query("select step_id from public.recipe_comments where id = $1", [
+      comments[0].id,
+    ]);
+    assert.equal(anchored[0].step_id, steps[0].id);
+  });
+
+  it("rejects updates to a recipe that does not exist", async () => {
+    await assert.rejects(
+      saveRecipe("00000000-0000-4000-8000-00000000ffff", { recipe: { name: "Missing" } }),
+      /not found/
+    );
+  });
+});
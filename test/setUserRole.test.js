@@ -0,0 +1,68 @@
+import { describe, it, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createDatabase, injectFailure } from "./helpers/database.js";
+
+const ADMIN_ID = "00000000-0000-4000-8000-000000000001";
+const USER_ID = "00000000-0000-4000-8000-000000000002";
+
+describe("set_user_role", () => {
+  let db;
+  let removeFailure = null;
+
+  const setRole = (role) =>
+    db.query("select role from public.set_user_role($1, $2, $3, 'Trusted member')", [ADMIN_ID, USER_ID, role]);
+
+  const currentRole = async () => {
+    const { rows } = await db.query("select role from public.users where id = $1", [USER_ID]);
+    return rows[0].role;
+  };
+
+  const auditedActions = async () => {
+    const { rows } = await db.query(
+      "select action, note from public.moderation_actions where target_id = $1 order by created_at",
+      [USER_ID]
+    );
+    return rows.map(({ action, note }) => [action, note]);
+  };
+
+  before(async () => {
+    db = await createDatabase();
+    await db.query("select set_config('request.jwt.claim.role', 'service_role', false)");
+    await db.query("insert into public.users (id, name, role) values ($1, 'Admin', 'admin'), ($2, 'Member', 'user')", [
+      ADMIN_ID,
+      USER_ID,
+    ]);
+  });
+
+  afterEach(async () => {
+    if (removeFailure) await removeFailure();
+    removeFailure = null;
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it("changes the role and records it in the audit trail", async () => {
+    const { rows } = await setRole("moderator");
+
+    assert.equal(rows[0].role, "moderator");
+    assert.equal(await currentRole(), "moderator");
+    assert.deepEqual(await auditedActions(), [["set_role:moderator", "Trusted member"]]);
+  });
+
+  it("leaves the role unchanged when the audit row cannot be written", async () => {
+    removeFailure = await injectFailure(db, "moderation_actions", "insert");
+
+    await assert.rejects(setRole("admin"), /injected failure/);
+    assert.equal(await currentRole(), "moderator");
+    assert.deepEqual(await auditedActions(), [["set_role:moderator", "Trusted member"]]);
+  });
+
+  it("rejects users that do not exist", async () => {
+    await assert.rejects(
+      db.query("select public.set_user_role($1, '00000000-0000-4000-8000-00000000ffff', 'moderator')", [ADMIN_ID]),
+      /not found/
+    );
+  });
+});